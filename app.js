@@ -4,42 +4,63 @@ import { setStatus } from './js/utils/statusUtil.js';
 import { initNavigation } from './js/ui/navigation/navigationBarUI.js';
 
 import { initConnectionTab } from './js/ui/tabs/connectionTab/connectionTabUI.js';
-import { initProfilesTab, updateProfileList, handleProfileMessage, handleCurrentProfileMessage, getCurrentActiveProfile, getCurrentActiveProfileName } from './js/ui/tabs/profileTab/profilesTab.js';
+import { initFirmwareUpdate } from './js/ui/tabs/connectionTab/firmwareUpdateUI.js';
+import { initDeviceSwitcher } from './js/ui/navigation/deviceSwitcherUI.js';
+import { initProfilesTab } from './js/ui/tabs/profileTab/profilesTab.js';
 import { initControlTab, initStatusDotHandlers } from './js/ui/tabs/controlTab/controlTabUI.js';
+import { initLoadCellCalibration } from './js/ui/tabs/controlTab/loadCellCalibrationUI.js';
 import { initResultsTab } from './js/ui/resultsTab.js';
 import { initLogsTab } from './js/ui/tabs/logsTab/logsTabUI.js';
 import { initAnalizeTab } from './js/ui/tabs/analizeTab/analizeTabUI.js';
-
-// Expose functions globally so connectionTab can call them
-window.updateProfileList = updateProfileList;
-window.handleProfileMessage = handleProfileMessage;
-window.handleCurrentProfileMessage = handleCurrentProfileMessage;
-window.getCurrentActiveProfile = getCurrentActiveProfile;
-window.getCurrentActiveProfileName = getCurrentActiveProfileName;
+import { getPreferredTransportKind, isTransportSupported } from './js/core/transports/index.js';
+import { initAlarms } from './js/core/alarms.js';
+import { bindMetricElements } from './js/core/metricIndicators.js';
+import { initAlarmsUI } from './js/ui/alarmsUI.js';
+import { initSafetySupervisor } from './js/core/safetySupervisor.js';
+import { initSafetySupervisorUI } from './js/ui/safetySupervisorUI.js';
+import { initControlWatchdog } from './js/core/controlWatchdog.js';
 
 // Initialize all modules
 async function initApp() {
     // Load HTML components first
     await loadComponents();
+    bindMetricElements(document);
     
     // Initialize navigation
     initNavigation();
+    initDeviceSwitcher();
     
     // Initialize each tab
     initConnectionTab();
+    initFirmwareUpdate();
     initProfilesTab();
     initControlTab();
+    initLoadCellCalibration();
     initAnalizeTab();
     initResultsTab();
     initLogsTab();
     
+    // Alarms from firmware warnings and profile limits
+    initAlarms();
+    initAlarmsUI();
+    
+    // Profile limits enforced app-side, in every tab
+    initSafetySupervisor();
+    initSafetySupervisorUI();
+    
+    // Heartbeats to armed stands, and disarm when the page is hidden or loses focus
+    initControlWatchdog();
+    
     console.log('About to initialize status dot handlers...');
     // Initialize status dot handlers (after components are loaded)
     initStatusDotHandlers();
     console.log('Status dot handlers initialized');
     
-    // Check Web Bluetooth support
-    if (navigator.bluetooth) {
+    // Check support for the selected transport (Web Bluetooth unless ?transport= overrides it)
+    const transportKind = getPreferredTransportKind();
+    if (transportKind !== 'ble' && isTransportSupported(transportKind)) {
+        setStatus(`Using ${transportKind} transport. Click Connect to begin.`);
+    } else if (isTransportSupported(transportKind)) {
         setStatus('Web Bluetooth ready. Click Connect to begin.');
     } else {
         setStatus('Web Bluetooth is NOT supported in this browser/platform. Try Chrome on Android, ChromeOS, or macOS/Windows.');
@@ -25,6 +25,7 @@ export async function loadComponents() {
     // Load all components in parallel
     await Promise.all([
         loadComponent('components/header.html', '#header-container'),
+        loadComponent('components/alarm-banner.html', '#alarm-banner-container'),
         loadComponent('components/tab-navigation.html', '#tab-navigation-container'),
         loadComponent('components/tab-connection.html', '#tab-connection-container'),
         loadComponent('components/tab-profiles.html', '#tab-profiles-container'),
@@ -11,3 +11,70 @@ export const encoder = new TextEncoder();
 export const decoder = new TextDecoder();
 
 export const MAX_LOG_LINES = 5000;
+
+// Command/ACK protocol
+export const COMMAND_ACK_TIMEOUT_MS = 1500; // Time to wait for a matching ACK after a write
+export const COMMAND_MAX_RETRIES = 2;       // Re-sends (same seq) before the command is rejected
+export const COMMAND_SPACING_MS = 100;      // Delay between GATT writes
+export const EMERGENCY_COMMANDS = ['disarm', 'stop', 'STOP_TEST']; // Pre-empt the queue and flush pending throttle writes
+export const STREAMING_COMMANDS = ['set_throttle'];                // Written without response; only the newest queued setpoint is kept
+export const QUEUE_SATURATION_DEPTH = 5;    // Queued commands at which the link is reported as saturated
+export const QUEUE_SATURATION_WAIT_MS = 500; // Average queue wait at which the link is reported as saturated
+
+// NUS framing
+export const FRAME_DELIMITER = '\n';        // Terminates every message in both directions
+export const MAX_FRAME_LENGTH = 8192;       // Buffered characters before an unterminated frame is dropped
+export const BLE_MAX_WRITE_BYTES = 180;     // RX write chunk size, fits the 185-byte ATT MTU negotiated by macOS
+
+// Telemetry encodings (negotiated with set_telem_format)
+export const TELEMETRY_FORMAT_JSON = 'json';
+export const TELEMETRY_FORMAT_BINARY = 'bin1';
+export const TELEMETRY_BINARY_MAGIC = 0xB7;  // Never the first byte of a UTF-8 text message
+export const TELEMETRY_BINARY_VERSION = 1;
+export const TELEMETRY_BUFFER_CAPACITY = 6000; // 'data' frames kept per stand (10 min at 10 Hz, 1 min at 100 Hz)
+export const STATUS_TIMELINE_CAPACITY = 2000;  // Status flag transitions kept per stand
+
+// Auto-reconnect (exponential backoff)
+export const RECONNECT_BASE_DELAY_MS = 1000;
+export const RECONNECT_MAX_DELAY_MS = 30000;
+export const RECONNECT_MAX_ATTEMPTS = 6;
+
+// Link-quality monitoring
+export const LINK_WINDOW_MS = 5000;          // Rate, jitter and loss are measured over this window
+export const LINK_SAMPLE_INTERVAL_MS = 1000; // One history point per stand at this interval
+export const LINK_HISTORY_CAPACITY = 300;    // History points kept per stand (5 min)
+export const LINK_RSSI_MAX_AGE_MS = 10000;   // Device-reported RSSI older than this is not shown
+
+// Alarms
+export const ALARM_REPEAT_MS = 5000;         // Unacknowledged critical alarms signal again at this interval
+export const ALARM_LOG_CAPACITY = 500;       // Raise/clear/acknowledge entries kept
+
+// Metric cards
+export const METRIC_SPARKLINE_SPAN_S = 30;      // History shown in each card's sparkline
+export const METRIC_SPARKLINE_REDRAW_MS = 250;  // Sparklines are redrawn at most this often, whatever the telemetry rate
+
+// Derived metrics
+export const ENERGY_MAX_GAP_MS = 1000;       // Longer telemetry gaps are not integrated into the energy totals
+export const SPEED_OF_SOUND_MS = 343;        // m/s at 20 °C, for the prop tip Mach number
+
+// Load-cell calibration
+export const CALIBRATION_TARE_TIMEOUT_MS = 5000;  // Time for HX711_TARE_OK to come back after the tare command
+export const CALIBRATION_SETTLE_MS = 1500;        // Wait after a mass is hung before readings are averaged
+export const CALIBRATION_SAMPLE_COUNT = 20;       // Thrust readings averaged per reference point
+export const CALIBRATION_READ_TIMEOUT_MS = 10000; // Time allowed to collect them
+export const CALIBRATION_MAX_NONLINEARITY_PERCENT = 0.5; // Largest deviation from the fitted line, % of the heaviest mass
+export const CALIBRATION_HISTORY_PER_DEVICE = 20; // Calibrations kept per stand
+
+// Firmware update over the air
+export const OTA_CHUNK_BYTES = 256;              // Image bytes per ota_chunk command (base64 in the JSON)
+export const OTA_MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+export const OTA_VERIFY_TIMEOUT_MS = 15000;      // ACK timeout of ota_end while the stand checks the image
+export const OTA_REBOOT_TIMEOUT_MS = 60000;      // Time for the stand to come back with the new firmware
+
+// Safety supervisor
+export const SAFETY_RAMP_DOWN_MS = 1000;         // Time the supervisor takes to bring the throttle down to arm throttle
+export const SAFETY_RAMP_STEPS = 10;             // Setpoints sent on the way down
+
+// Control watchdog
+export const HEARTBEAT_INTERVAL_MS = 500;        // Heartbeats sent to an armed stand
+export const HEARTBEAT_TIMEOUT_MS = 2000;        // Sent with each heartbeat: the stand disarms itself when none arrives for this long
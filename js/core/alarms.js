@@ -0,0 +1,282 @@
+// Alarm subsystem: raises alarms from the firmware WARN_* bits and from app-side limits of the active
+// profile, and gets the operator's attention with sound, vibration and system notifications.
+// Alarms are latched: they stay until acknowledged, even after their condition cleared.
+import { STATUS_BITS } from './statusManager.js';
+import { subscribe, publish, EVENTS } from './eventBus.js';
+import { appendLog } from '../utils/logUtils.js';
+import { vibratePattern } from '../utils/haptics.js';
+import { playTonePattern } from '../utils/sound.js';
+import { estimateBattery } from './batteryModel.js';
+import { ALARM_REPEAT_MS, ALARM_LOG_CAPACITY } from '../config/constants.js';
+
+const ALARM_SETTINGS_STORAGE_KEY = 'alarmSettings';
+
+export const ALARM_SEVERITY = {
+    INFO: 'info',
+    WARNING: 'warning',
+    CRITICAL: 'critical'
+};
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+
+// How each severity gets attention: vibration pattern (haptics.js) and tone pattern ([Hz, ms] pairs)
+const SEVERITY_SIGNALS = {
+    info: { vibration: [60], tones: [[880, 120]] },
+    warning: { vibration: [200, 100, 200], tones: [[880, 150], [0, 100], [880, 150]] },
+    critical: { vibration: [400, 100, 400, 100, 400], tones: [[1320, 180], [0, 80], [1320, 180], [0, 80], [1320, 180]] }
+};
+
+// Firmware warning flags
+const FLAG_ALARMS = [
+    { id: 'WARN_BATTERY_LOW', label: 'Battery low', severity: ALARM_SEVERITY.WARNING },
+    { id: 'WARN_ESC_OVERHEAT', label: 'ESC overheat', severity: ALARM_SEVERITY.CRITICAL },
+    { id: 'WARN_MOTOR_OVERHEAT', label: 'Motor overheat', severity: ALARM_SEVERITY.CRITICAL },
+    { id: 'WARN_OVER_CURRENT', label: 'Over current', severity: ALARM_SEVERITY.CRITICAL },
+    { id: 'WARN_OVER_RPM', label: 'Over RPM', severity: ALARM_SEVERITY.WARNING },
+    { id: 'WARN_MOTOR_STALL', label: 'Motor stall', severity: ALARM_SEVERITY.CRITICAL },
+    { id: 'WARN_FULL_USR_CFG_PRFLS', label: 'Profile storage full', severity: ALARM_SEVERITY.INFO }
+];
+
+// App-side limits, checked on the active stand against the max* fields of its profile.
+// A limit of 0 or less is not set.
+const LIMIT_ALARMS = [
+    { id: 'LIMIT_ESC_TEMP', label: 'ESC temperature above profile limit', severity: ALARM_SEVERITY.CRITICAL,
+        exceeded: (sample, profile) => limit(profile.maxESCTemp) && sample.escTemp > limit(profile.maxESCTemp) },
+    { id: 'LIMIT_MOTOR_TEMP', label: 'Motor temperature above profile limit', severity: ALARM_SEVERITY.CRITICAL,
+        exceeded: (sample, profile) => limit(profile.maxMotorTemp) && sample.motorTemp > limit(profile.maxMotorTemp) },
+    { id: 'LIMIT_CURRENT', label: 'Current above profile limit', severity: ALARM_SEVERITY.CRITICAL,
+        exceeded: (sample, profile) => limit(profile.maxCurrent) && sample.current > limit(profile.maxCurrent) },
+    { id: 'LIMIT_RPM', label: 'RPM above profile limit', severity: ALARM_SEVERITY.WARNING,
+        exceeded: (sample, profile) => limit(profile.maxRPM) && sample.rpm > limit(profile.maxRPM) },
+    { id: 'LIMIT_THRUST', label: 'Thrust above profile limit', severity: ALARM_SEVERITY.WARNING,
+        exceeded: (sample, profile) => limit(profile.maxThrust) && sample.thrust > limit(profile.maxThrust) * 1000 },
+    // Sag-compensated when the pack resistance is known, so a current spike alone does not raise it
+    { id: 'LIMIT_PACK_VOLTAGE', label: 'Pack voltage below the minimum per cell of its chemistry', severity: ALARM_SEVERITY.WARNING,
+        exceeded: (sample, profile) => {
+            const estimate = sample.voltage > 0 ? estimateBattery(sample.voltage, sample.current, {
+                cellCount: limit(profile.batteryCellCount),
+                chemistry: profile.batteryChemistry,
+                internalResistance: profile.batteryInternalResistance
+            }) : null;
+            return !!estimate && estimate.belowAlarm;
+        } }
+];
+
+/**
+ * @typedef {Object} Alarm
+ * @property {string} key - deviceId:id
+ * @property {string} id - WARN_* flag or LIMIT_* name
+ * @property {string} deviceId
+ * @property {string} deviceName
+ * @property {string} label
+ * @property {string} severity - One of ALARM_SEVERITY
+ * @property {number} raisedAt - epoch ms
+ * @property {boolean} conditionActive - Whether the condition is still present
+ * @property {number|null} clearedAt - When the condition went away
+ * @property {number|null} acknowledgedAt
+ */
+
+const alarms = new Map();  // key -> Alarm, until acknowledged and cleared
+const alarmLog = [];       // { time, event: 'raised'|'cleared'|'acknowledged', key, label, deviceName, severity }
+let activeProfile = null;
+let repeatTimer = null;
+let settings = loadSettings();
+
+/**
+ * Subscribes to status and telemetry; call once at startup
+ */
+export function initAlarms() {
+    subscribe(EVENTS.ACTIVE_PROFILE_CHANGED, ({ profile }) => {
+        activeProfile = profile;
+        if (!profile) releaseConditions(alarm => alarm.id.startsWith('LIMIT_'));
+    });
+    // Limits are only checked on the active stand; those of the previous one are no longer known
+    subscribe(EVENTS.ACTIVE_DEVICE_CHANGED, ({ session }) => {
+        releaseConditions(alarm => alarm.id.startsWith('LIMIT_') && alarm.deviceId !== session.id);
+    });
+    subscribe(EVENTS.STATUS_CHANGED, ({ status, session }) => {
+        FLAG_ALARMS.forEach(def => updateCondition(session, def, (status & STATUS_BITS[def.id]) !== 0));
+    });
+    subscribe(EVENTS.TELEMETRY, ({ sample, session, isActive }) => {
+        if (!isActive || !activeProfile) return;
+        LIMIT_ALARMS.forEach(def => updateCondition(session, def, !!def.exceeded(sample, activeProfile)));
+    });
+    // Without a link nothing is known about the conditions; latched alarms stay until acknowledged
+    subscribe(EVENTS.DEVICE_DISCONNECTED, ({ deviceId }) => {
+        releaseConditions(alarm => alarm.deviceId === deviceId);
+    });
+}
+
+/**
+ * Marks the conditions of matching alarms as cleared when they can no longer be checked
+ */
+function releaseConditions(matches) {
+    const released = getAlarms().filter(alarm => alarm.conditionActive && matches(alarm));
+    released.forEach(clearCondition);
+    if (released.length) notifyChanged();
+}
+
+function limit(value) {
+    const number = Number(value);
+    return number > 0 ? number : 0;
+}
+
+function updateCondition(session, def, active) {
+    const key = `${session.id}:${def.id}`;
+    const alarm = alarms.get(key);
+    if (active) {
+        if (!alarm) raise(key, session, def);
+        else if (!alarm.conditionActive) {
+            // Came back before it was acknowledged; still the same alarm
+            alarm.conditionActive = true;
+            alarm.clearedAt = null;
+            notifyChanged();
+        }
+    } else if (alarm && alarm.conditionActive) {
+        clearCondition(alarm);
+        notifyChanged();
+    }
+}
+
+function raise(key, session, def) {
+    const alarm = {
+        key,
+        id: def.id,
+        deviceId: session.id,
+        deviceName: session.name,
+        label: def.label,
+        severity: def.severity,
+        raisedAt: Date.now(),
+        conditionActive: true,
+        clearedAt: null,
+        acknowledgedAt: null
+    };
+    alarms.set(key, alarm);
+    logAlarmEvent('raised', alarm);
+    appendLog(`Alarm (${alarm.severity}): ${alarm.label} on ${alarm.deviceName}`, alarm.severity === ALARM_SEVERITY.CRITICAL ? 'error' : 'warning');
+    signal(alarm.severity);
+    showSystemNotification(alarm);
+    notifyChanged();
+}
+
+function clearCondition(alarm) {
+    alarm.conditionActive = false;
+    alarm.clearedAt = Date.now();
+    logAlarmEvent('cleared', alarm);
+    if (alarm.acknowledgedAt) alarms.delete(alarm.key);
+}
+
+/**
+ * Acknowledges an alarm: it stops signalling, and goes away once its condition has cleared
+ * @param {string} key - Alarm key
+ */
+export function acknowledgeAlarm(key) {
+    const alarm = alarms.get(key);
+    if (!alarm || alarm.acknowledgedAt) return;
+    alarm.acknowledgedAt = Date.now();
+    logAlarmEvent('acknowledged', alarm);
+    appendLog(`Alarm acknowledged: ${alarm.label} on ${alarm.deviceName}`);
+    if (!alarm.conditionActive) alarms.delete(key);
+    notifyChanged();
+}
+
+export function acknowledgeAllAlarms() {
+    getAlarms().filter(alarm => !alarm.acknowledgedAt).forEach(alarm => acknowledgeAlarm(alarm.key));
+}
+
+/**
+ * Alarms that are unacknowledged or still active, most severe and then newest first
+ * @returns {Alarm[]}
+ */
+export function getAlarms() {
+    return [...alarms.values()].sort((a, b) => (SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]) || (b.raisedAt - a.raisedAt));
+}
+
+/**
+ * When each alarm was raised, cleared and acknowledged, oldest first
+ */
+export function getAlarmLog() {
+    return alarmLog.slice();
+}
+
+function logAlarmEvent(event, alarm) {
+    alarmLog.push({ time: Date.now(), event, key: alarm.key, label: alarm.label, deviceName: alarm.deviceName, severity: alarm.severity });
+    if (alarmLog.length > ALARM_LOG_CAPACITY) alarmLog.shift();
+}
+
+function notifyChanged() {
+    updateRepeatTimer();
+    publish(EVENTS.ALARMS_CHANGED, { alarms: getAlarms() });
+}
+
+/**
+ * Sound and vibration for one alarm of the given severity
+ */
+function signal(severity) {
+    const { vibration, tones } = SEVERITY_SIGNALS[severity];
+    vibratePattern(vibration);
+    if (settings.sound) playTonePattern(tones);
+}
+
+// Critical alarms keep signalling until they are acknowledged
+function updateRepeatTimer() {
+    const pending = getAlarms().some(alarm => alarm.severity === ALARM_SEVERITY.CRITICAL && !alarm.acknowledgedAt);
+    if (pending && !repeatTimer) {
+        repeatTimer = setInterval(() => signal(ALARM_SEVERITY.CRITICAL), ALARM_REPEAT_MS);
+    } else if (!pending && repeatTimer) {
+        clearInterval(repeatTimer);
+        repeatTimer = null;
+    }
+}
+
+function showSystemNotification(alarm) {
+    if (!settings.notifications || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    try {
+        new Notification(`${alarm.severity === ALARM_SEVERITY.CRITICAL ? 'CRITICAL' : 'Alarm'}: ${alarm.label}`, {
+            body: alarm.deviceName,
+            tag: alarm.key,
+            requireInteraction: alarm.severity === ALARM_SEVERITY.CRITICAL
+        });
+    } catch (err) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.warn('System notification failed:', err);
+    }
+}
+
+/**
+ * @returns {{ sound: boolean, notifications: boolean }}
+ */
+export function getAlarmSettings() {
+    return { ...settings };
+}
+
+/**
+ * Updates and persists alarm settings. Turning notifications on asks for the browser permission,
+ * so call it from a user gesture.
+ * @param {{ sound?: boolean, notifications?: boolean }} changes
+ * @returns {Promise<{ sound: boolean, notifications: boolean }>} Settings in effect (notifications stay off if permission was denied)
+ */
+export async function setAlarmSettings(changes) {
+    const next = { ...settings, ...changes };
+    if (changes.notifications) {
+        const permission = typeof Notification === 'undefined' ? 'denied' : await Notification.requestPermission();
+        if (permission !== 'granted') {
+            appendLog('System notifications were not allowed by the browser.', 'warning');
+            next.notifications = false;
+        }
+    }
+    settings = next;
+    try {
+        localStorage.setItem(ALARM_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {}
+    return getAlarmSettings();
+}
+
+function loadSettings() {
+    const defaults = { sound: true, notifications: false };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(ALARM_SETTINGS_STORAGE_KEY) || '{}') };
+    } catch (e) {
+        return defaults;
+    }
+}
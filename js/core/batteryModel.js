@@ -0,0 +1,157 @@
+// Battery state of charge from pack voltage: resting (open-circuit) voltage curves per chemistry,
+// and a sag-compensated estimate that adds back the voltage lost across the pack's internal
+// resistance while current flows. Chemistry and resistance are app-side profile settings; the
+// firmware profile only knows the cell count.
+
+const BATTERY_SETTINGS_STORAGE_KEY = 'standBatterySettings';
+
+export const DEFAULT_CHEMISTRY = 'lipo';
+
+/**
+ * Resting voltage per cell -> state of charge (%), ascending. alarmVoltage is the per-cell voltage
+ * under which the pack is treated as empty.
+ */
+export const BATTERY_CHEMISTRIES = {
+    lipo: {
+        label: 'LiPo',
+        alarmVoltage: 3.3,
+        curve: [[3.27, 0], [3.61, 5], [3.69, 10], [3.73, 20], [3.77, 30], [3.80, 40], [3.84, 50], [3.87, 60],
+            [3.95, 70], [4.02, 80], [4.11, 90], [4.15, 95], [4.20, 100]]
+    },
+    lihv: {
+        label: 'LiHV',
+        alarmVoltage: 3.4,
+        curve: [[3.30, 0], [3.62, 5], [3.70, 10], [3.75, 20], [3.79, 30], [3.83, 40], [3.88, 50], [3.94, 60],
+            [4.02, 70], [4.11, 80], [4.21, 90], [4.28, 95], [4.35, 100]]
+    },
+    liion: {
+        label: 'Li-ion',
+        alarmVoltage: 3.0,
+        curve: [[2.80, 0], [3.30, 5], [3.45, 10], [3.55, 20], [3.62, 30], [3.68, 40], [3.74, 50], [3.80, 60],
+            [3.88, 70], [3.96, 80], [4.06, 90], [4.13, 95], [4.20, 100]]
+    },
+    // Flat between 20 and 80%: the estimate is coarse there, whatever the voltage resolution
+    lifepo4: {
+        label: 'LiFePO4',
+        alarmVoltage: 2.8,
+        curve: [[2.50, 0], [3.00, 5], [3.20, 10], [3.25, 20], [3.27, 30], [3.29, 40], [3.30, 50], [3.31, 60],
+            [3.32, 70], [3.33, 80], [3.35, 90], [3.40, 95], [3.45, 100]]
+    }
+};
+
+export function getChemistry(id) {
+    return BATTERY_CHEMISTRIES[id] || BATTERY_CHEMISTRIES[DEFAULT_CHEMISTRY];
+}
+
+/**
+ * State of charge of a cell at rest, interpolated on the chemistry's curve
+ * @param {number} cellVoltage - V
+ * @param {string} chemistry - Key of BATTERY_CHEMISTRIES
+ * @returns {number} 0-100 %
+ */
+export function stateOfCharge(cellVoltage, chemistry) {
+    const { curve } = getChemistry(chemistry);
+    if (cellVoltage <= curve[0][0]) return 0;
+    if (cellVoltage >= curve[curve.length - 1][0]) return 100;
+    const upper = curve.findIndex(([voltage]) => voltage >= cellVoltage);
+    const [v0, soc0] = curve[upper - 1];
+    const [v1, soc1] = curve[upper];
+    return soc0 + ((cellVoltage - v0) / (v1 - v0)) * (soc1 - soc0);
+}
+
+/**
+ * @typedef {Object} BatteryEstimate
+ * @property {number} cellVoltage - Measured V per cell (under load)
+ * @property {number} soc - State of charge read straight from the measured voltage, %
+ * @property {number|null} restingCellVoltage - V per cell with the sag added back, null without a resistance
+ * @property {number|null} compensatedSoc - State of charge from restingCellVoltage, %
+ * @property {boolean} belowAlarm - Resting (or, without a resistance, measured) cell voltage under the chemistry's alarm voltage
+ */
+
+/**
+ * Estimates the state of charge of a pack
+ * @param {number} voltage - Pack voltage, V
+ * @param {number|undefined} current - Pack current, A
+ * @param {{ cellCount: number, chemistry?: string, internalResistance?: number|null }} battery -
+ *        internalResistance is the whole pack's, Ω
+ * @returns {BatteryEstimate|null} null without a cell count
+ */
+export function estimateBattery(voltage, current, { cellCount, chemistry = DEFAULT_CHEMISTRY, internalResistance = null }) {
+    if (!(cellCount > 0) || !Number.isFinite(voltage)) return null;
+    const cellVoltage = voltage / cellCount;
+    const canCompensate = internalResistance > 0 && Number.isFinite(current);
+    // Regenerative (negative) current raises the terminal voltage; the resting voltage is then lower
+    const restingCellVoltage = canCompensate ? (voltage + current * internalResistance) / cellCount : null;
+    return {
+        cellVoltage,
+        soc: stateOfCharge(cellVoltage, chemistry),
+        restingCellVoltage,
+        compensatedSoc: restingCellVoltage !== null ? stateOfCharge(restingCellVoltage, chemistry) : null,
+        belowAlarm: (restingCellVoltage ?? cellVoltage) < getChemistry(chemistry).alarmVoltage
+    };
+}
+
+/**
+ * Battery settings of a profile of a stand, named as they are merged into the profile. Keyed by
+ * stand as well: two stands can have profiles of the same name with different packs.
+ * @returns {{ batteryChemistry: string, batteryInternalResistance: number|null }}
+ */
+export function getBatterySettings(deviceId, profileName) {
+    const stored = (loadAllBatterySettings()[deviceId] || {})[profileName] || {};
+    return {
+        batteryChemistry: BATTERY_CHEMISTRIES[stored.chemistry] ? stored.chemistry : DEFAULT_CHEMISTRY,
+        batteryInternalResistance: stored.internalResistance > 0 ? stored.internalResistance : null
+    };
+}
+
+/**
+ * Stores the battery settings of a profile of a stand
+ * @param {string} deviceId
+ * @param {string} profileName
+ * @param {{ chemistry: string, internalResistance: number|null }} settings - internalResistance in Ω
+ */
+export function saveBatterySettings(deviceId, profileName, { chemistry, internalResistance }) {
+    const all = loadAllBatterySettings();
+    all[deviceId] = all[deviceId] || {};
+    all[deviceId][profileName] = { chemistry, internalResistance: internalResistance > 0 ? internalResistance : null };
+    storeAllBatterySettings(all);
+}
+
+/**
+ * Moves the battery settings of a renamed profile to its new name
+ */
+export function renameBatterySettings(deviceId, fromName, toName) {
+    const all = loadAllBatterySettings();
+    const profiles = all[deviceId];
+    if (!profiles || !profiles[fromName] || fromName === toName) return;
+    profiles[toName] = profiles[fromName];
+    delete profiles[fromName];
+    storeAllBatterySettings(all);
+}
+
+/**
+ * Drops the battery settings of a deleted profile
+ */
+export function deleteBatterySettings(deviceId, profileName) {
+    const all = loadAllBatterySettings();
+    const profiles = all[deviceId];
+    if (!profiles || !profiles[profileName]) return;
+    delete profiles[profileName];
+    if (Object.keys(profiles).length === 0) delete all[deviceId];
+    storeAllBatterySettings(all);
+}
+
+// { [deviceId]: { [profileName]: { chemistry, internalResistance } } }
+function loadAllBatterySettings() {
+    try {
+        return JSON.parse(localStorage.getItem(BATTERY_SETTINGS_STORAGE_KEY) || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+function storeAllBatterySettings(all) {
+    try {
+        localStorage.setItem(BATTERY_SETTINGS_STORAGE_KEY, JSON.stringify(all));
+    } catch (e) {}
+}
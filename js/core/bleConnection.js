@@ -1,19 +1,56 @@
-// Core BLE connection management
-import { NUS_SERVICE_UUID, NUS_RX_CHARACTERISTIC_UUID, NUS_TX_CHARACTERISTIC_UUID, APP_DISCOVERY_SERVICE_UUID, APP_INFO_CHARACTERISTIC_UUID, decoder } from '../config/constants.js';
-import { state, setBleDevice, setGattServer, setCommandCharacteristic, setTelemetryCharacteristic, getBleDevice } from '../state.js';
+// Core connection management (transport-agnostic, BLE NUS by default)
+import { state, createDeviceSession, addSession, removeSession, getSession, getActiveSession, setActiveSessionId } from '../state.js';
 import { setStatus } from '../utils/statusUtil.js';
 import { appendLog } from '../utils/logUtils.js';
 import { vibrate, vibratePattern } from '../utils/haptics.js';
-import { sendCommand, clearCommandQueue } from '../utils/bluetooth.js';
+import { RECONNECT_BASE_DELAY_MS, RECONNECT_MAX_DELAY_MS, RECONNECT_MAX_ATTEMPTS, TELEMETRY_FORMAT_JSON, TELEMETRY_FORMAT_BINARY } from '../config/constants.js';
+import { sendCommand, createCommandChannel } from '../utils/bluetooth.js';
 import { handleTelemetry } from './telemetryHandler.js';
-import { startRSSIMonitoring, stopRSSIMonitoring } from './rssiMonitor.js';
+import { startLinkMonitoring, stopLinkMonitoring, showActiveLink } from './linkMonitor.js';
+import { createTransport } from './transports/index.js';
+import { recordDeviceConnection, getDeviceDisplayName } from './deviceHistory.js';
+import { parseAppInfo, describeCapabilities, supportsBinaryTelemetry } from './capabilities.js';
+import { publish, EVENTS } from './eventBus.js';
+import { toDeviceCommandName } from './firmwareCompatibility.js';
+import { isSessionArmed } from './statusManager.js';
+
+const AUTO_RECONNECT_STORAGE_KEY = 'autoReconnect';
+
+/**
+ * Whether the user opted in to automatic reconnection (persisted across sessions)
+ */
+export function isAutoReconnectEnabled() {
+    try {
+        return localStorage.getItem(AUTO_RECONNECT_STORAGE_KEY) === 'true';
+    } catch (e) {
+        return false;
+    }
+}
+
+export function setAutoReconnectEnabled(enabled) {
+    try {
+        localStorage.setItem(AUTO_RECONNECT_STORAGE_KEY, enabled ? 'true' : 'false');
+    } catch (e) {}
+}
+
+
+/**
+ * Whether a stand (the active one by default) is waiting for an auto-reconnect attempt
+ */
+export function isReconnecting(deviceId = null) {
+    const session = deviceId ? getSession(deviceId) : getActiveSession();
+    return !!session && session.link.reconnectActive;
+}
 
 /**
- * Connects to a BLE device via Web Bluetooth API
+ * Connects to a device over the preferred transport (Web Bluetooth unless ?transport= says otherwise).
+ * Every connected device gets its own session; the first one becomes the active stand.
  * @param {Function} onConnectedCallback - Callback after successful connection
- * @param {Function} onDisconnectedCallback - Callback on disconnection
+ * @param {Function} onDisconnectedCallback - Callback(deviceId) once the device is gone for good
+ * @param {Object} options - { transportKind, knownDevice: { id, name }, onLinkLost(deviceId), onReconnecting(attempt, delayMs, deviceId), onReconnected(device) }
  */
-export async function connectDevice(onConnectedCallback = null, onDisconnectedCallback = null) {
+export async function connectDevice(onConnectedCallback = null, onDisconnectedCallback = null, options = {}) {
+    const { transportKind, knownDevice = null, onLinkLost = null, onReconnecting = null, onReconnected = null } = options;
     vibrate(40);
     
     // Wait for components to load
@@ -22,75 +59,69 @@ export async function connectDevice(onConnectedCallback = null, onDisconnectedCa
     const scanAllDevicesCheckbox = document.getElementById('scanAllDevices');
     
     try {
-        setStatus('Requesting Bluetooth device...');
-        appendLog('Initiating device scan...');
-
-        const bleOptions = (scanAllDevicesCheckbox && scanAllDevicesCheckbox.checked)
-            ? { acceptAllDevices: true, optionalServices: [NUS_SERVICE_UUID, APP_DISCOVERY_SERVICE_UUID] }
-            : { filters: [{ services: [NUS_SERVICE_UUID] }], optionalServices: [APP_DISCOVERY_SERVICE_UUID] };
-
-        const device = await navigator.bluetooth.requestDevice(bleOptions);
-        setBleDevice(device);
+        if (knownDevice && getSession(knownDevice.id)) {
+            throw new Error(`${knownDevice.name || 'Device'} is already connected.`);
+        }
 
-        setStatus(`Connecting to ${device.name}...`);
-        appendLog(`Device selected: ${device.name || 'Unknown'}`);
+        setStatus('Requesting device...', state.sessions.size > 0);
+        appendLog('Initiating device scan...');
 
-        device.addEventListener('gattserverdisconnected', () => {
-            if (onDisconnectedCallback) onDisconnectedCallback();
+        const transport = createTransport(transportKind);
+        const device = await transport.connect({
+            acceptAllDevices: !!(scanAllDevicesCheckbox && scanAllDevicesCheckbox.checked),
+            knownDevice,
+            onStatus: (message, isConnected = false) => setStatus(message, isConnected || state.sessions.size > 0)
         });
 
-        const server = await device.gatt.connect();
-        setGattServer(server);
-        setStatus(`Connected to ${device.name}. Discovering services...`, true);
-        appendLog('GATT Server connected. Discovering services...');
-
-        const nusService = await server.getPrimaryService(NUS_SERVICE_UUID);
-        appendLog('NUS service found.');
-
-        const rxChar = await nusService.getCharacteristic(NUS_RX_CHARACTERISTIC_UUID);
-        setCommandCharacteristic(rxChar);
-        appendLog('RX characteristic ready (write to device).');
+        if (getSession(device.id)) {
+            // The chooser also lists stands that are already connected. Only the new transport's listeners
+            // go: with Web Bluetooth it shares the GATT connection of the existing session, which disconnect() would close.
+            transport.release();
+            throw new Error(`${device.name || 'Device'} is already connected.`);
+        }
 
-        const txChar = await nusService.getCharacteristic(NUS_TX_CHARACTERISTIC_UUID);
-        setTelemetryCharacteristic(txChar);
-        await txChar.startNotifications();
-        txChar.addEventListener('characteristicvaluechanged', handleTelemetry);
-        appendLog('TX characteristic notifications started (receive from device).');
+        const session = createDeviceSession(device, transport);
+        session.commands = createCommandChannel(
+            transport,
+            () => (state.sessions.size > 1 ? session.name : null),
+            cmd => toDeviceCommandName(session.compatibility, cmd)
+        );
+        session.link.handlers = { onLinkLost, onReconnecting, onReconnected };
+        session.link.subscriptions = [
+            transport.onMessage((message) => handleTelemetry(message, session)),
+            transport.onDisconnect(() => handleLinkLost(session, onDisconnectedCallback))
+        ];
+        addSession(session);
+        applyDeviceCapabilities(session, device);
+        startLinkMonitoring();
 
-        try {
-            const appService = await server.getPrimaryService(APP_DISCOVERY_SERVICE_UUID);
-            const infoChar = await appService.getCharacteristic(APP_INFO_CHARACTERISTIC_UUID);
-            const infoValue = await infoChar.readValue();
-            const appInfo = decoder.decode(infoValue);
-            appendLog(`App Info: ${appInfo}`);
-        } catch (err) {
-            appendLog('App Discovery Service not available or failed to read.');
+        if (isActiveSession(session)) {
+            setStatus(`Connected to ${device.name}`, true);
+        } else {
+            appendLog(`${device.name} added as an additional stand.`);
         }
-
-        state.connectedDeviceId = device.id;
-        
-        setStatus(`Connected to ${device.name}`, true);
         vibratePattern([50, 50, 100]);
         appendLog('Connection established successfully!');
         
         // Request firmware version
         setTimeout(async () => {
+            if (!state.sessions.has(session.id)) return;
             try {
-                await sendCommand('get_version');
+                await sendCommand('get_version', {}, { deviceId: session.id });
                 appendLog('Requested firmware version from device.');
             } catch (err) {
                 appendLog(`Failed to request version: ${err.message}`);
             }
+            await negotiateTelemetryFormat(session);
         }, 1000);
         
-        // Start RSSI monitoring
-        startRSSIMonitoring(device);
-        
         if (onConnectedCallback) onConnectedCallback(device);
+        publish(EVENTS.DEVICE_CONNECTED, { session });
         
         return device;
     } catch (error) {
-        setStatus(`Connection failed: ${error.message}`);
+        // Stands that are already connected stay usable
+        setStatus(`Connection failed: ${error.message}`, state.sessions.size > 0);
         vibratePattern([200]);
         appendLog(`Error: ${error.message}`);
         console.error(error);
@@ -99,71 +130,279 @@ export async function connectDevice(onConnectedCallback = null, onDisconnectedCa
 }
 
 /**
- * Disconnects from the currently connected BLE device
- * @param {Function} onDisconnectedCallback - Callback after disconnection
+ * Disconnects a device (the active stand by default)
+ * @param {Function} onDisconnectedCallback - Callback(deviceId) after disconnection
+ * @param {string|null} deviceId - Device to disconnect
  */
-export async function disconnectDevice(onDisconnectedCallback = null) {
+export async function disconnectDevice(onDisconnectedCallback = null, deviceId = null) {
     vibrate(20);
-    const device = getBleDevice();
+    const session = deviceId ? getSession(deviceId) : getActiveSession();
     
-    if (!device) {
+    if (!session) {
         appendLog('No device to disconnect.');
         return;
     }
+
+    if (session.link.reconnectActive) {
+        cancelReconnect(session);
+        appendLog(`Auto-reconnect of ${session.name} cancelled by user.`);
+        if (onDisconnectedCallback) onDisconnectedCallback(session.id);
+        return;
+    }
     
-    if (device.gatt && device.gatt.connected) {
+    if (session.transport.isConnected()) {
+        session.link.userRequestedDisconnect = true;
         try {
-            device.gatt.disconnect();
+            // The transport's onDisconnect handler runs the disconnection callback
+            await session.transport.disconnect();
             vibrate(80);
-            appendLog('Disconnect requested by user.');
-            
-            setTimeout(() => {
-                if (device && !device.gatt.connected) {
-                    if (onDisconnectedCallback) onDisconnectedCallback();
-                }
-            }, 500);
+            appendLog(`Disconnect of ${session.name} requested by user.`);
         } catch (error) {
             appendLog(`Disconnect error: ${error.message}`);
             console.error('Disconnect error:', error);
-            if (onDisconnectedCallback) onDisconnectedCallback();
+            if (onDisconnectedCallback) onDisconnectedCallback(session.id);
         }
     } else {
         appendLog('Device is not connected.');
-        if (onDisconnectedCallback) onDisconnectedCallback();
+        if (onDisconnectedCallback) onDisconnectedCallback(session.id);
     }
 }
 
 /**
- * Handles cleanup when device disconnects
+ * Makes another connected stand the one the Control, Profiles and Analize tabs work with
+ * @param {string} deviceId
+ * @returns {boolean} False if the device has no session
  */
-export function handleDisconnection() {
-    stopRSSIMonitoring();
-    setStatus('Device disconnected.');
-    
-    state.connectedDeviceId = null;
-    clearCommandQueue();
-    appendLog('Device disconnected.');
-    
-    setBleDevice(null);
-    setGattServer(null);
-    setCommandCharacteristic(null);
-    setTelemetryCharacteristic(null);
+export function switchActiveDevice(deviceId) {
+    if (!setActiveSessionId(deviceId)) return false;
+    const session = getActiveSession();
+    showActiveSession(session);
+    appendLog(`Active stand: ${session.name}`);
+    publish(EVENTS.ACTIVE_DEVICE_CHANGED, { session });
+    return true;
+}
+
+function isActiveSession(session) {
+    return state.activeSessionId === session.id;
 }
 
 /**
- * Remembers a discovered device
- * @param {BluetoothDevice} device 
+ * Points the shared status line, link indicator and capability gating at the active stand
  */
-export function rememberDevice(device) {
-    if (!device) return;
-    const exists = state.discoveredDevices.some((entry) => entry.id === device.id);
-    if (!exists) {
-        state.discoveredDevices.push({ id: device.id, name: device.name || 'Unknown Device' });
+function showActiveSession(session) {
+    showActiveLink();
+    if (session.link.reconnectActive) {
+        setStatus(`Connection to ${session.name} lost. Reconnecting...`);
+        return;
+    }
+    setStatus(`Connected to ${session.name}`, true);
+}
+
+/**
+ * Decides between auto-reconnect and a full disconnect when the transport reports link loss
+ */
+function handleLinkLost(session, onDisconnectedCallback) {
+    const link = session.link;
+    if (link.reconnectActive) return;
+
+    const canReconnect = !link.userRequestedDisconnect && isAutoReconnectEnabled() && typeof session.transport.reconnect === 'function';
+    link.userRequestedDisconnect = false;
+    if (!canReconnect) {
+        if (onDisconnectedCallback) onDisconnectedCallback(session.id);
+        return;
+    }
+
+    // The drop may have cut off a running motor; remember it for the arm-state check after reconnect
+    link.wasArmedBeforeDrop = isSessionArmed(session);
+
+    link.reconnectActive = true;
+    link.reconnectAttempt = 0;
+    session.linkQuality.resetSequence();
+    session.commands.clear();
+    session.lastRxData = null;
+    session.lastRxStatus = null;
+
+    appendLog(`Warning: connection to ${session.name} lost unexpectedly. Trying to reconnect...`, 'warning');
+    vibratePattern([200, 100, 200]);
+    if (link.handlers.onLinkLost) link.handlers.onLinkLost(session.id);
+    publish(EVENTS.LINK_LOST, { session });
+
+    scheduleReconnect(session, onDisconnectedCallback);
+}
+
+/**
+ * Schedules the next reconnect attempt with exponential backoff
+ */
+function scheduleReconnect(session, onDisconnectedCallback) {
+    const link = session.link;
+    if (link.reconnectAttempt >= RECONNECT_MAX_ATTEMPTS) {
+        appendLog(`Auto-reconnect of ${session.name} failed after ${RECONNECT_MAX_ATTEMPTS} attempts.`, 'error');
+        cancelReconnect(session);
+        if (onDisconnectedCallback) onDisconnectedCallback(session.id);
+        return;
     }
+
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * Math.pow(2, link.reconnectAttempt), RECONNECT_MAX_DELAY_MS);
+    link.reconnectAttempt++;
+    if (isActiveSession(session)) {
+        setStatus(`Connection lost. Reconnecting in ${Math.round(delay / 1000)}s (attempt ${link.reconnectAttempt}/${RECONNECT_MAX_ATTEMPTS})...`);
+    }
+    if (link.handlers.onReconnecting) link.handlers.onReconnecting(link.reconnectAttempt, delay, session.id);
+
+    link.reconnectTimer = setTimeout(async () => {
+        link.reconnectTimer = null;
+        try {
+            const device = await session.transport.reconnect({
+                onStatus: (message, isConnected = false) => {
+                    if (isActiveSession(session)) setStatus(message, isConnected);
+                }
+            });
+            if (!link.reconnectActive) {
+                // Cancelled while the attempt was in flight
+                await session.transport.disconnect();
+                return;
+            }
+            link.reconnectActive = false;
+            link.reconnectAttempt = 0;
+            await restoreSession(session, device);
+        } catch (err) {
+            if (!link.reconnectActive) return;
+            appendLog(`Reconnect attempt ${link.reconnectAttempt} for ${session.name} failed: ${err.message}`, 'warning');
+            scheduleReconnect(session, onDisconnectedCallback);
+        }
+    }, delay);
+}
+
+function cancelReconnect(session) {
+    const link = session.link;
+    if (link.reconnectTimer) {
+        clearTimeout(link.reconnectTimer);
+        link.reconnectTimer = null;
+    }
+    link.reconnectActive = false;
+    link.reconnectAttempt = 0;
+    link.wasArmedBeforeDrop = false;
+}
+
+/**
+ * Restores the session after a successful reconnect: telemetry, profile, version and arm state
+ */
+async function restoreSession(session, device) {
+    applyDeviceCapabilities(session, device);
+    appendLog(`Reconnected to ${session.name}. Restoring session...`);
+    vibratePattern([50, 50, 100]);
+    if (isActiveSession(session)) {
+        setStatus(`Reconnected to ${device.name}`, true);
+    }
+
+    if (session.link.handlers.onReconnected) session.link.handlers.onReconnected(device);
+    publish(EVENTS.DEVICE_RECONNECTED, { session });
+
+    const options = { deviceId: session.id };
+    try {
+        await sendCommand('get_version', {}, options);
+        await sendCommand('get_cur_profile', {}, options);
+        await negotiateTelemetryFormat(session);
+    } catch (err) {
+        appendLog(`Failed to restore session after reconnect: ${err.message}`, 'error');
+    }
+    // Runs whatever became of the requests above: the motor must not stay armed after the drop
+    try {
+        await reconcileArmState(session);
+    } catch (err) {
+        appendLog(`Failed to disarm ${session.name} after reconnect: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * Brings the motor to a known safe state after a reconnect.
+ * The operator had no control while the link was down, so a motor that was (or still is) armed is disarmed.
+ */
+async function reconcileArmState(session) {
+    // Give the stand a moment to report its current status
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    if (session.link.wasArmedBeforeDrop || isSessionArmed(session)) {
+        appendLog(`Warning: motor of ${session.name} was armed when the link dropped. Disarming after reconnect.`, 'warning');
+        await sendCommand('disarm', {}, { deviceId: session.id });
+    }
+    session.link.wasArmedBeforeDrop = false;
+}
+
+/**
+ * Switches the device to binary telemetry when it advertises support; JSON stays in use otherwise
+ */
+async function negotiateTelemetryFormat(session) {
+    session.telemetryFormat = TELEMETRY_FORMAT_JSON;
+    if (!supportsBinaryTelemetry(session.capabilities)) return;
+
+    try {
+        await sendCommand('set_telem_format', { value: TELEMETRY_FORMAT_BINARY }, { deviceId: session.id });
+        session.telemetryFormat = TELEMETRY_FORMAT_BINARY;
+        appendLog(`Telemetry format of ${session.name}: compact binary.`);
+    } catch (err) {
+        appendLog(`Binary telemetry unavailable, staying on JSON: ${err.message}`, 'warning');
+    }
+}
+
+/**
+ * Parses the device's App Info; setStatus() then applies the restrictions of the active stand to the UI
+ */
+function applyDeviceCapabilities(session, device) {
+    session.capabilities = parseAppInfo(device.appInfo);
+    appendLog(`Device capabilities (${session.name}): ${describeCapabilities(session.capabilities)}`);
+}
+
+/**
+ * Handles cleanup when a device disconnects. If it was the active stand, the next connected one takes over
+ * (published as ACTIVE_DEVICE_CHANGED).
+ * @param {string|null} deviceId - Device that went away (the active stand by default)
+ */
+export function handleDisconnection(deviceId = null) {
+    const session = deviceId ? getSession(deviceId) : getActiveSession();
+    if (!session) return;
+
+    const wasActive = isActiveSession(session);
+    cancelReconnect(session);
+    session.commands.clear();
+    session.link.subscriptions.forEach(unsubscribe => unsubscribe());
+    session.link.subscriptions = [];
+    removeSession(session.id);
+    appendLog(`Device disconnected: ${session.name}`);
+    publish(EVENTS.DEVICE_DISCONNECTED, { deviceId: session.id, name: session.name, wasActive });
+
+    if (!wasActive) return;
+    const next = getActiveSession();
+    if (next) {
+        showActiveSession(next);
+        appendLog(`Active stand: ${next.name}`);
+        publish(EVENTS.ACTIVE_DEVICE_CHANGED, { session: next });
+    } else {
+        stopLinkMonitoring();
+        setStatus('Device disconnected.');
+    }
+}
+
+/**
+ * Remembers a connected device in the persistent device history
+ * @param {{ id: string, name: string }} device 
+ */
+export function rememberDevice(device) {
+    recordDeviceConnection(device);
+    refreshSessionName(device.id);
+}
+
+/**
+ * Names a connected stand after its history entry, so logs and the switcher show the alias
+ */
+export function refreshSessionName(deviceId) {
+    const session = getSession(deviceId);
+    const entry = state.discoveredDevices.find(e => e.id === deviceId);
+    if (session && entry) session.name = getDeviceDisplayName(entry);
 }
 
 /**
- * Sets the device ID on the connected device
+ * Sets the device ID on the active stand
  * @param {number} deviceId - Device ID (0-255)
  */
 export async function setDeviceId(deviceId) {
@@ -0,0 +1,181 @@
+// Device capability discovery from the App Info characteristic
+//
+// Accepted App Info payloads:
+//   JSON       {"proto":2,"hw":"C","sensors":["hx711","ntc","kiss"],"cmds":["arm","disarm",...],"rate":100,"fmt":["json","bin1"]}
+//   key=value  proto=2;hw=C;sensors=hx711,ntc,kiss;cmds=arm,disarm;rate=100;fmt=json,bin1
+// Anything else (older firmware sends a plain banner) yields capabilities with known: false,
+// in which case every feature stays available.
+import { TELEMETRY_FORMAT_JSON, TELEMETRY_FORMAT_BINARY } from '../config/constants.js';
+
+export const SENSOR_LABELS = {
+    loadCell: 'Load cell (HX711)',
+    ntc: 'Motor temperature (NTC)',
+    kissTelemetry: 'ESC telemetry (KISS)'
+};
+
+// Names used by different firmware builds for the same sensor
+const SENSOR_ALIASES = {
+    hx711: 'loadCell',
+    loadcell: 'loadCell',
+    load_cell: 'loadCell',
+    ntc: 'ntc',
+    motor_temp: 'ntc',
+    kiss: 'kissTelemetry',
+    kiss_telem: 'kissTelemetry',
+    kisstelemetry: 'kissTelemetry',
+    esc_telem: 'kissTelemetry'
+};
+
+/**
+ * @typedef {Object} DeviceCapabilities
+ * @property {boolean} known - False when App Info was missing or not in a recognised format
+ * @property {number|null} protocolVersion
+ * @property {string|null} hardwareRevision
+ * @property {{ loadCell: boolean, ntc: boolean, kissTelemetry: boolean }} sensors
+ * @property {string[]|null} commands - Supported commands, null if the device does not say
+ * @property {number|null} maxSampleRateHz
+ * @property {string[]} telemetryFormats - Encodings the device can stream ('json', 'bin1')
+ * @property {string|null} raw - App Info text as read from the device
+ */
+
+/**
+ * Capabilities assumed for devices that do not describe themselves
+ * @returns {DeviceCapabilities}
+ */
+export function createDefaultCapabilities(raw = null) {
+    return {
+        known: false,
+        protocolVersion: null,
+        hardwareRevision: null,
+        sensors: { loadCell: true, ntc: true, kissTelemetry: true },
+        commands: null,
+        maxSampleRateHz: null,
+        telemetryFormats: [TELEMETRY_FORMAT_JSON],
+        raw
+    };
+}
+
+/**
+ * Parses the App Info text into a capabilities object
+ * @param {string|null} appInfo
+ * @returns {DeviceCapabilities}
+ */
+export function parseAppInfo(appInfo) {
+    if (!appInfo || typeof appInfo !== 'string') return createDefaultCapabilities();
+
+    const text = appInfo.replace(/\0+$/, '').trim();
+    const fields = parseJsonFields(text) || parseKeyValueFields(text);
+    if (!fields) return createDefaultCapabilities(text);
+
+    const capabilities = createDefaultCapabilities(text);
+    capabilities.known = true;
+    capabilities.protocolVersion = toNumber(pick(fields, ['proto', 'protocol', 'protocolversion']));
+    const hardware = pick(fields, ['hw', 'hwrev', 'hardware', 'hardwarerevision']);
+    capabilities.hardwareRevision = hardware !== undefined ? String(hardware) : null;
+    capabilities.maxSampleRateHz = toNumber(pick(fields, ['rate', 'maxrate', 'samplerate', 'maxsamplerate']));
+
+    const sensors = pick(fields, ['sensors', 'sens']);
+    if (sensors !== undefined) {
+        capabilities.sensors = { loadCell: false, ntc: false, kissTelemetry: false };
+        toList(sensors).forEach((name) => {
+            const sensor = SENSOR_ALIASES[name.toLowerCase()];
+            if (sensor) capabilities.sensors[sensor] = true;
+        });
+    }
+
+    const commands = pick(fields, ['cmds', 'commands']);
+    if (commands !== undefined) {
+        capabilities.commands = toList(commands);
+    }
+
+    const formats = pick(fields, ['fmt', 'formats', 'telemformats']);
+    if (formats !== undefined) {
+        capabilities.telemetryFormats = toList(formats).map(f => f.toLowerCase());
+    }
+
+    return capabilities;
+}
+
+/**
+ * @param {DeviceCapabilities|null} capabilities - null (not connected) allows everything
+ */
+export function supportsCommand(capabilities, cmd) {
+    if (!capabilities || !capabilities.commands) return true;
+    return capabilities.commands.includes(cmd);
+}
+
+/**
+ * Binary telemetry is only requested from devices that advertise it; older firmware would NACK
+ * (or ignore) set_telem_format
+ */
+export function supportsBinaryTelemetry(capabilities) {
+    return !!capabilities && capabilities.telemetryFormats.includes(TELEMETRY_FORMAT_BINARY);
+}
+
+export function hasSensor(capabilities, sensor) {
+    if (!capabilities) return true;
+    return capabilities.sensors[sensor] !== false;
+}
+
+/**
+ * One-line summary for the log and the Device Snapshot card
+ */
+export function describeCapabilities(capabilities) {
+    if (!capabilities || !capabilities.known) return 'not reported (all features enabled)';
+    const sensors = Object.keys(SENSOR_LABELS).filter(s => capabilities.sensors[s]).map(s => SENSOR_LABELS[s]);
+    const parts = [
+        `protocol ${capabilities.protocolVersion ?? '?'}`,
+        `hw ${capabilities.hardwareRevision ?? '?'}`,
+        `sensors: ${sensors.length ? sensors.join(', ') : 'none'}`
+    ];
+    if (capabilities.maxSampleRateHz) parts.push(`max ${capabilities.maxSampleRateHz} Hz`);
+    if (capabilities.commands) parts.push(`${capabilities.commands.length} commands`);
+    if (supportsBinaryTelemetry(capabilities)) parts.push('binary telemetry');
+    return parts.join(' | ');
+}
+
+function parseJsonFields(text) {
+    if (text[0] !== '{') return null;
+    try {
+        const parsed = JSON.parse(text);
+        return parsed && typeof parsed === 'object' ? lowerCaseKeys(parsed) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function parseKeyValueFields(text) {
+    const fields = {};
+    text.split(/[;\n]/).forEach((pair) => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+        const key = pair.slice(0, index).trim();
+        if (key) fields[key.toLowerCase()] = pair.slice(index + 1).trim();
+    });
+    return Object.keys(fields).length ? fields : null;
+}
+
+function lowerCaseKeys(object) {
+    const result = {};
+    Object.entries(object).forEach(([key, value]) => {
+        result[key.toLowerCase()] = value;
+    });
+    return result;
+}
+
+function pick(fields, keys) {
+    const key = keys.find(k => fields[k] !== undefined);
+    return key ? fields[key] : undefined;
+}
+
+function toNumber(value) {
+    const number = Number(value);
+    return value === undefined || value === '' || isNaN(number) ? null : number;
+}
+
+// Accepts ["a","b"], "a,b" or { a: true, b: false }
+function toList(value) {
+    if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+    if (value && typeof value === 'object') return Object.keys(value).filter(k => value[k]);
+    return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
@@ -0,0 +1,88 @@
+// Control watchdog: a motor must not keep running on the last setpoint once nobody is watching it.
+//
+//   heartbeat   while a stand is armed it gets a heartbeat command every HEARTBEAT_INTERVAL_MS, carrying
+//               the time (HEARTBEAT_TIMEOUT_MS) after which the firmware should disarm on its own if no
+//               further heartbeat arrives. This covers a frozen page, a closed browser and a dead link.
+//               Only stands that list 'heartbeat' in App Info get it; older firmware would NACK it.
+//   page guard  the page being hidden (phone locked, tab in the background), closed or losing focus
+//               while a stand is armed stops that stand at idle and disarms it.
+//
+// Like the safety supervisor it works on commands, so the Control and Analize tabs are guarded alike.
+import { state } from '../state.js';
+import { sendCommand } from '../utils/bluetooth.js';
+import { appendLog } from '../utils/logUtils.js';
+import { STATUS_BITS, isSessionArmed } from './statusManager.js';
+import { subscribe, publish, EVENTS } from './eventBus.js';
+import { HEARTBEAT_INTERVAL_MS, HEARTBEAT_TIMEOUT_MS } from '../config/constants.js';
+
+const heartbeats = new Map(); // device id -> { timer, failing }
+
+/**
+ * Starts heartbeats with arming and listens for the page going away; call once at startup
+ */
+export function initControlWatchdog() {
+    subscribe(EVENTS.STATUS_CHANGED, ({ status, session }) => {
+        if (status & STATUS_BITS.MOTOR_ARMED) startHeartbeat(session);
+        else stopHeartbeat(session.id);
+    });
+    // Restarted by the first armed status after a reconnect
+    subscribe(EVENTS.LINK_LOST, ({ session }) => stopHeartbeat(session.id));
+    subscribe(EVENTS.DEVICE_DISCONNECTED, ({ deviceId }) => stopHeartbeat(deviceId));
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') tripPageGuard('page hidden');
+    });
+    window.addEventListener('pagehide', () => tripPageGuard('page closed'));
+    window.addEventListener('blur', () => tripPageGuard('window lost focus'));
+}
+
+/**
+ * Whether the stand watches for heartbeats; only ones that say so in App Info
+ */
+export function supportsHeartbeat(session) {
+    const commands = session.capabilities ? session.capabilities.commands : null;
+    return !!commands && commands.includes('heartbeat');
+}
+
+function startHeartbeat(session) {
+    if (heartbeats.has(session.id) || !supportsHeartbeat(session)) return;
+    const heartbeat = { timer: null, failing: false };
+    heartbeats.set(session.id, heartbeat);
+    const beat = () => {
+        // Not acknowledged: the stand only needs to see it arrive. Not logged either, or it would bury real traffic.
+        sendCommand('heartbeat', { timeoutMs: HEARTBEAT_TIMEOUT_MS }, { deviceId: session.id, ack: false, withoutResponse: true, quiet: true })
+            .then(() => {
+                heartbeat.failing = false;
+            })
+            .catch((err) => {
+                // Logged once per outage, not on every beat
+                if (!heartbeat.failing) appendLog(`Heartbeat to ${session.name} failed: ${err.message}`, 'warning');
+                heartbeat.failing = true;
+            });
+    };
+    beat();
+    heartbeat.timer = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+}
+
+function stopHeartbeat(deviceId) {
+    const heartbeat = heartbeats.get(deviceId);
+    if (!heartbeat) return;
+    clearInterval(heartbeat.timer);
+    heartbeats.delete(deviceId);
+}
+
+/**
+ * Stops and disarms every armed stand. Nothing is awaited: after pagehide the page may not get to run again.
+ */
+function tripPageGuard(reason) {
+    const armed = Array.from(state.sessions.values()).filter(isSessionArmed);
+    armed.forEach((session) => {
+        appendLog(`Control watchdog: ${reason} while ${session.name} was armed; stopping at idle and disarming.`, 'warning');
+        publish(EVENTS.WATCHDOG_TRIPPED, { session, reason, isActive: session.id === state.activeSessionId });
+        const options = { deviceId: session.id };
+        sendCommand('stop', {}, options)
+            .catch(err => appendLog(`Control watchdog: stop of ${session.name} failed: ${err.message}`, 'error'));
+        sendCommand('disarm', {}, options)
+            .catch(err => appendLog(`Control watchdog: disarm of ${session.name} failed: ${err.message}`, 'error'));
+    });
+}
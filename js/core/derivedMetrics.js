@@ -0,0 +1,119 @@
+// Values computed from the telemetry of a stand: per-cell voltage, g/W efficiency, electrical (V × I)
+// vs reported power, prop tip speed, and the energy drawn since the motor was last armed.
+import { ENERGY_MAX_GAP_MS, SPEED_OF_SOUND_MS } from '../config/constants.js';
+import { estimateBattery } from './batteryModel.js';
+
+const METERS_PER_INCH = 0.0254;
+
+/**
+ * @typedef {Object} DerivedMetrics
+ * @property {number|null} cellVoltage - V per cell, from the profile's batteryCellCount
+ * @property {import('./batteryModel.js').BatteryEstimate|null} battery - State of charge for the profile's chemistry
+ * @property {number|null} electricalPower - Voltage × current, W
+ * @property {number|null} reportedPower - Power field of the frame, W; null when the stand does not report it
+ * @property {number|null} powerDeltaPercent - Reported power relative to V × I
+ * @property {number|null} efficiency - Thrust per watt, g/W
+ * @property {number|null} tipSpeed - Prop tip speed, m/s, from RPM and the profile's propDiameter
+ * @property {number|null} tipMach - Tip speed as a fraction of the speed of sound
+ */
+
+/**
+ * Computes the derived values of one telemetry sample
+ * @param {Object} sample - Canonical 'data' message (see telemetrySchema.js)
+ * @param {Object|null} profile - Normalized profile of the stand
+ * @returns {DerivedMetrics}
+ */
+export function deriveMetrics(sample, profile) {
+    const { voltage, current, thrust, rpm } = sample;
+    // Power the schema filled in as V × I is not a second opinion
+    const reportedPower = sample.powerDerived ? null : sample.power;
+    const cellCount = profile ? profile.batteryCellCount : 0;
+    const propDiameter = profile ? profile.propDiameter : 0;
+
+    const electricalPower = isNumber(voltage) && isNumber(current) ? voltage * current : null;
+    // Efficiency uses the electrical power when both are known, it does not depend on the ESC's estimate
+    const power = electricalPower ?? (isNumber(reportedPower) ? reportedPower : null);
+    const tipSpeed = isNumber(rpm) && propDiameter > 0
+        ? (rpm / 60) * Math.PI * propDiameter * METERS_PER_INCH
+        : null;
+
+    return {
+        cellVoltage: isNumber(voltage) && cellCount > 0 ? voltage / cellCount : null,
+        battery: profile && isNumber(voltage) ? estimateBattery(voltage, current, {
+            cellCount,
+            chemistry: profile.batteryChemistry,
+            internalResistance: profile.batteryInternalResistance
+        }) : null,
+        electricalPower,
+        reportedPower: isNumber(reportedPower) ? reportedPower : null,
+        powerDeltaPercent: electricalPower > 0 && isNumber(reportedPower)
+            ? ((reportedPower - electricalPower) / electricalPower) * 100
+            : null,
+        efficiency: isNumber(thrust) && power > 0 ? thrust / power : null,
+        tipSpeed,
+        tipMach: tipSpeed !== null ? tipSpeed / SPEED_OF_SOUND_MS : null
+    };
+}
+
+/**
+ * Creates the energy meter of one stand: integrates power and current over the frames received
+ * while the motor is armed. Arming starts a new count; the totals stay readable after disarming.
+ */
+export function createEnergyMeter() {
+    let armed = false;
+    let armedAt = null;
+    let last = null; // { time, power, current } of the previous armed frame
+    let wattHours = 0;
+    let milliampHours = 0;
+
+    /**
+     * @param {boolean} isArmed - MOTOR_ARMED bit of the latest status
+     * @param {number} hostTime
+     */
+    function setArmed(isArmed, hostTime) {
+        if (isArmed === armed) return;
+        if (isArmed) {
+            wattHours = 0;
+            milliampHours = 0;
+            armedAt = hostTime;
+        }
+        armed = isArmed;
+        last = null;
+    }
+
+    /**
+     * Adds the interval since the previous frame, using that frame's readings
+     */
+    function record(sample) {
+        if (!armed) return;
+        const power = isNumber(sample.voltage) && isNumber(sample.current)
+            ? sample.voltage * sample.current
+            : sample.power;
+        // The device clock is steadier than the arrival time; fall back to the host time without it
+        const useDeviceTime = last && last.deviceTime !== null && sample.deviceTime !== null;
+        const time = useDeviceTime ? sample.deviceTime : sample.hostTime;
+        const previousTime = useDeviceTime ? last.deviceTime : last && last.hostTime;
+
+        if (last) {
+            const elapsed = time - previousTime;
+            if (elapsed > 0 && elapsed <= ENERGY_MAX_GAP_MS) {
+                const hours = elapsed / 3600000;
+                if (isNumber(last.power)) wattHours += last.power * hours;
+                if (isNumber(last.current)) milliampHours += last.current * 1000 * hours;
+            }
+        }
+        last = { deviceTime: sample.deviceTime, hostTime: sample.hostTime, power, current: sample.current };
+    }
+
+    return {
+        setArmed,
+        record,
+        get totals() {
+            return { armed, armedAt, wattHours, milliampHours };
+        }
+    };
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
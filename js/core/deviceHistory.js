@@ -0,0 +1,96 @@
+// Persistent device history (localStorage)
+import { state } from '../state.js';
+
+const DEVICE_HISTORY_STORAGE_KEY = 'deviceHistory';
+const MAX_DEVICE_HISTORY = 20;
+
+/**
+ * @typedef {Object} DeviceHistoryEntry
+ * @property {string} id - Browser-assigned device id (stable per origin)
+ * @property {string} name - Advertised device name
+ * @property {string|null} alias - Friendly name set by the user
+ * @property {number|null} lastConnected - Epoch ms of the last successful connection
+ * @property {string|null} firmware - Last reported firmware version
+ */
+
+function saveDeviceHistory() {
+    try {
+        localStorage.setItem(DEVICE_HISTORY_STORAGE_KEY, JSON.stringify(state.discoveredDevices));
+    } catch (e) {}
+}
+
+function findEntry(id) {
+    return state.discoveredDevices.find(entry => entry.id === id) || null;
+}
+
+/**
+ * Loads the stored history into state.discoveredDevices (most recent first)
+ * @returns {DeviceHistoryEntry[]}
+ */
+export function loadDeviceHistory() {
+    let entries = [];
+    try {
+        const saved = JSON.parse(localStorage.getItem(DEVICE_HISTORY_STORAGE_KEY) || '[]');
+        if (Array.isArray(saved)) {
+            entries = saved
+                .filter(entry => entry && typeof entry.id === 'string')
+                .map(entry => ({
+                    id: entry.id,
+                    name: entry.name || 'Unknown Device',
+                    alias: entry.alias || null,
+                    lastConnected: entry.lastConnected || null,
+                    firmware: entry.firmware || null
+                }));
+        }
+    } catch (e) {}
+
+    entries.sort((a, b) => (b.lastConnected || 0) - (a.lastConnected || 0));
+    state.discoveredDevices = entries;
+    return entries;
+}
+
+/**
+ * Records a successful connection, adding the device if it is new
+ * @param {{ id: string, name: string }} device
+ */
+export function recordDeviceConnection(device) {
+    if (!device) return;
+    let entry = findEntry(device.id);
+    if (!entry) {
+        entry = { id: device.id, name: device.name || 'Unknown Device', alias: null, lastConnected: null, firmware: null };
+    } else {
+        state.discoveredDevices = state.discoveredDevices.filter(e => e !== entry);
+    }
+    if (device.name) entry.name = device.name;
+    entry.lastConnected = Date.now();
+
+    state.discoveredDevices.unshift(entry);
+    state.discoveredDevices.length = Math.min(state.discoveredDevices.length, MAX_DEVICE_HISTORY);
+    saveDeviceHistory();
+}
+
+export function setDeviceFirmware(id, firmware) {
+    const entry = findEntry(id);
+    if (!entry || entry.firmware === firmware) return;
+    entry.firmware = firmware;
+    saveDeviceHistory();
+}
+
+/**
+ * Sets or clears (empty string) the friendly name of a device
+ */
+export function setDeviceAlias(id, alias) {
+    const entry = findEntry(id);
+    if (!entry) return;
+    entry.alias = alias && alias.trim() ? alias.trim() : null;
+    saveDeviceHistory();
+}
+
+export function forgetDevice(id) {
+    state.discoveredDevices = state.discoveredDevices.filter(entry => entry.id !== id);
+    saveDeviceHistory();
+}
+
+export function getDeviceDisplayName(entry) {
+    return entry.alias || entry.name || 'Unknown Device';
+}
@@ -0,0 +1,118 @@
+// Internal publish/subscribe bus between the core modules and the tabs.
+// Core code publishes what happened; tabs (and new features) subscribe instead of being called directly.
+
+export const EVENTS = Object.freeze({
+    TELEMETRY: 'telemetry',                         // TelemetryEvent
+    STATUS_CHANGED: 'status-changed',               // StatusChangedEvent
+    WARNINGS: 'warnings',                           // WarningsEvent
+    PROFILE_LIST: 'profile-list',                   // { profiles: string[], session, isActive }
+    PROFILE_RECEIVED: 'profile-received',           // { profile: Object, session, isActive }
+    CURRENT_PROFILE: 'current-profile',             // { name: string, session, isActive }
+    ACTIVE_PROFILE_CHANGED: 'active-profile-changed', // { profile: Object|null } - normalized profile of the active stand
+    DEVICE_CONNECTED: 'device-connected',           // { session }
+    DEVICE_DISCONNECTED: 'device-disconnected',     // { deviceId, name, wasActive }
+    LINK_LOST: 'link-lost',                         // { session } - auto-reconnect is retrying
+    DEVICE_RECONNECTED: 'device-reconnected',       // { session }
+    ACTIVE_DEVICE_CHANGED: 'active-device-changed', // { session } - another connected stand became active
+    TAB_OPENED: 'tab-opened',                       // { tab: string }
+    ALARMS_CHANGED: 'alarms-changed',               // { alarms: Alarm[] } - see core/alarms.js
+    LOAD_CELL_SCALE: 'load-cell-scale',             // { scale: number, session, isActive } - reply to get_scale
+    FIRMWARE_CHECKED: 'firmware-checked',           // { session, compatibility, isActive } - see core/firmwareCompatibility.js
+    SAFETY_STAGE_CHANGED: 'safety-stage-changed',   // { session, stage, reason, isActive } - see core/safetySupervisor.js
+    WATCHDOG_TRIPPED: 'watchdog-tripped'            // { session, reason, isActive } - see core/controlWatchdog.js
+});
+
+/**
+ * @typedef {Object} TelemetryEvent
+ * @property {Object} sample - Normalized 'data' message (see telemetrySchema.js), with deviceTime and hostTime
+ * @property {Object} session - Device session the frame came from
+ * @property {boolean} isActive - Whether that session is the active stand
+ */
+
+/**
+ * @typedef {Object} StatusChangedEvent
+ * @property {number} status - New status bitmask (see STATUS_BITS)
+ * @property {number|undefined} previous - Previous bitmask of the same stand
+ * @property {number} hostTime - When the new bitmask arrived, epoch ms
+ * @property {Object} session
+ * @property {boolean} isActive
+ */
+
+/**
+ * @typedef {Object} WarningsEvent
+ * @property {string[]} warnings - Readable names of the warning bits that are set
+ * @property {Object} session
+ * @property {boolean} isActive
+ */
+
+const subscribers = new Map(Object.values(EVENTS).map(event => [event, new Set()]));
+
+function getSubscribers(event) {
+    const handlers = subscribers.get(event);
+    if (!handlers) {
+        throw new Error(`Unknown event: ${event}`);
+    }
+    return handlers;
+}
+
+/**
+ * @param {string} event - One of EVENTS
+ * @param {Function} handler - Receives the event payload
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(event, handler) {
+    const handlers = getSubscribers(event);
+    handlers.add(handler);
+    return () => handlers.delete(handler);
+}
+
+/**
+ * Delivers a payload to every subscriber; a failing subscriber does not stop the others
+ * @param {string} event - One of EVENTS
+ * @param {Object} payload
+ */
+export function publish(event, payload = {}) {
+    getSubscribers(event).forEach((handler) => {
+        try {
+            handler(payload);
+        } catch (err) {
+            console.error(`Error in '${event}' subscriber:`, err);
+        }
+    });
+}
+
+/**
+ * Resolves with the first payload of an event that matches, rejects after timeoutMs
+ * @param {string} event - One of EVENTS
+ * @param {Function} match - Receives each payload; true to resolve with it
+ * @param {number} timeoutMs
+ * @param {string} timeoutMessage - Message of the Error the promise rejects with on timeout
+ * @param {AbortSignal|null} signal - Aborting stops the wait at once; the promise then rejects with signal.reason
+ * @returns {Promise<Object>}
+ */
+export function waitForEvent(event, match, timeoutMs, timeoutMessage, signal = null) {
+    return new Promise((resolve, reject) => {
+        const stop = () => {
+            clearTimeout(timer);
+            unsubscribe();
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            stop();
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            stop();
+            reject(new Error(timeoutMessage));
+        }, timeoutMs);
+        const unsubscribe = subscribe(event, (payload) => {
+            if (!match(payload)) return;
+            stop();
+            resolve(payload);
+        });
+        if (signal) {
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort);
+        }
+    });
+}
@@ -0,0 +1,208 @@
+// Firmware/app compatibility matrix: the firmware lines this app can drive, the command names and
+// status-bit layout each one uses and the commands it implements. Checked when the stand reports its
+// version (get_version); from then on the session talks to the firmware in its own dialect.
+import { STATUS_BITS } from './statusManager.js';
+import { EMERGENCY_COMMANDS } from '../config/constants.js';
+import { appendLog } from '../utils/logUtils.js';
+import { publish, EVENTS } from './eventBus.js';
+
+export const COMPATIBILITY_LEVEL = {
+    OK: 'ok',
+    WARN: 'warn',     // Usable, with the limitation in the message
+    BLOCK: 'block'    // Only get_version and emergency commands are sent
+};
+
+// Bit position of each STATUS_BITS flag in 0.9 firmware (16-bit status without task flags,
+// stall or profile warnings)
+const LEGACY_STATUS_LAYOUT = {
+    USR_CFG_PROF_OK: 0,
+    DSHOT_OK: 1,
+    KISS_TELEM_OK: 2,
+    HX711_OK: 3,
+    NTC_SENSOR_OK: 4,
+    MOTOR_ARMED: 5,
+    MOTOR_SPINNING: 6,
+    DSHOT_SEND_OK: 7,
+    KISS_TELEM_READ_OK: 8,
+    HX711_TARE_OK: 9,
+    HX711_READ_OK: 10,
+    NTC_SENSOR_READ_OK: 11,
+    WARN_BATTERY_LOW: 12,
+    WARN_ESC_OVERHEAT: 13,
+    WARN_MOTOR_OVERHEAT: 14,
+    WARN_OVER_CURRENT: 15
+};
+
+// App command name -> name used by 0.9 firmware
+const LEGACY_COMMAND_NAMES = {
+    get_profile_list: 'list_profiles',
+    get_cur_profile: 'get_active_profile',
+    load_profile: 'set_active_profile',
+    set_throttle: 'throttle'
+};
+
+const BASE_COMMANDS = [
+    'get_version', 'get_profile_list', 'get_cur_profile', 'load_profile', 'create_profile', 'save_profile',
+    'delete_profile', 'arm', 'disarm', 'set_throttle', 'stop', 'STOP_TEST', 'RUN_TEST', 'SET_TEST_MODE',
+    'SET_TEST_DURATION'
+];
+
+/**
+ * Known firmware lines, oldest first; from/to are major.minor, inclusive.
+ * commands is used when the stand's App Info does not list its commands.
+ */
+export const FIRMWARE_COMPATIBILITY = [
+    {
+        from: '0.9', to: '0.9',
+        level: COMPATIBILITY_LEVEL.WARN,
+        note: 'legacy protocol, update the firmware',
+        commandNames: LEGACY_COMMAND_NAMES,
+        statusLayout: LEGACY_STATUS_LAYOUT,
+        commands: BASE_COMMANDS
+    },
+    {
+        from: '1.0', to: '1.0',
+        level: COMPATIBILITY_LEVEL.OK,
+        note: 'supported',
+        commandNames: {},
+        statusLayout: null,
+        commands: [...BASE_COMMANDS, 'force_arm', 'set_dev_id']
+    },
+    {
+        from: '1.1', to: '1.2',
+        level: COMPATIBILITY_LEVEL.OK,
+        note: 'supported',
+        commandNames: {},
+        statusLayout: null,
+        commands: [
+            ...BASE_COMMANDS, 'force_arm', 'set_dev_id', 'set_telem_format', 'tare', 'get_scale', 'set_scale',
+            'ota_begin', 'ota_chunk', 'ota_end', 'ota_apply', 'ota_abort'
+        ]
+    }
+];
+
+// Sent whatever the firmware: reading the version is how compatibility is found out, and a motor must always be stoppable
+const ALWAYS_ALLOWED_COMMANDS = ['get_version', ...EMERGENCY_COMMANDS];
+
+/**
+ * @typedef {Object} FirmwareCompatibility
+ * @property {string|null} version - As reported by the stand
+ * @property {string} level - One of COMPATIBILITY_LEVEL
+ * @property {string} message - Readable verdict
+ * @property {Object} commandNames - App command name -> firmware command name
+ * @property {Object|null} statusLayout - Bit position of each STATUS_BITS flag, null for the app's own layout
+ * @property {string[]|null} commands - Commands of the firmware line, null if unknown
+ */
+
+/**
+ * Parses "1.2.3", "v1.2" or "1.2.0-mock" into [major, minor, patch]
+ * @returns {number[]|null}
+ */
+export function parseFirmwareVersion(version) {
+    const match = /^v?(\d+)\.(\d+)(?:\.(\d+))?/i.exec(String(version ?? '').trim());
+    return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : null;
+}
+
+function compareLine([major, minor], line) {
+    const [lineMajor, lineMinor] = line.split('.').map(Number);
+    return major !== lineMajor ? major - lineMajor : minor - lineMinor;
+}
+
+/**
+ * Looks a firmware version up in the matrix
+ * @param {string|null} version
+ * @returns {FirmwareCompatibility}
+ */
+export function checkFirmwareCompatibility(version) {
+    const newest = FIRMWARE_COMPATIBILITY[FIRMWARE_COMPATIBILITY.length - 1];
+    const result = (entry, level, message) => ({
+        version,
+        level,
+        message,
+        commandNames: entry ? entry.commandNames : {},
+        statusLayout: entry ? entry.statusLayout : null,
+        commands: entry && level !== COMPATIBILITY_LEVEL.BLOCK ? entry.commands : null
+    });
+
+    const parsed = parseFirmwareVersion(version);
+    if (!parsed) {
+        return result(null, COMPATIBILITY_LEVEL.WARN, `unrecognised version, assuming the ${newest.to} protocol`);
+    }
+    if (compareLine(parsed, FIRMWARE_COMPATIBILITY[0].from) < 0) {
+        return result(null, COMPATIBILITY_LEVEL.BLOCK, `too old, ${FIRMWARE_COMPATIBILITY[0].from} or newer is required`);
+    }
+    const entry = FIRMWARE_COMPATIBILITY.find(line => compareLine(parsed, line.from) >= 0 && compareLine(parsed, line.to) <= 0);
+    if (entry) {
+        return result(entry, entry.level, entry.note);
+    }
+    if (parsed[0] > Number(newest.to.split('.')[0])) {
+        return result(null, COMPATIBILITY_LEVEL.BLOCK, `too new, this app supports firmware up to ${newest.to}.x; update the app`);
+    }
+    // Same major version as the newest known line: assumed backward compatible
+    return { ...result(newest, COMPATIBILITY_LEVEL.WARN, `newer than this app was tested with (${newest.to}.x)`), commands: null };
+}
+
+/**
+ * Checks the firmware version the stand just reported and switches the session to its dialect.
+ * Commands listed in App Info are renamed to the app's names; without App Info the matrix lists them.
+ */
+export function applyFirmwareCompatibility(session, isActive) {
+    const compatibility = checkFirmwareCompatibility(session.firmware);
+    session.compatibility = compatibility;
+
+    if (session.capabilities) {
+        if (compatibility.level === COMPATIBILITY_LEVEL.BLOCK) {
+            session.capabilities.commands = [...ALWAYS_ALLOWED_COMMANDS];
+        } else if (session.capabilities.commands) {
+            session.capabilities.commands = session.capabilities.commands.map(name => toAppCommandName(compatibility, name));
+        } else if (compatibility.commands) {
+            session.capabilities.commands = [...compatibility.commands];
+        }
+    }
+
+    const logType = { ok: 'info', warn: 'warning', block: 'error' }[compatibility.level];
+    appendLog(`Firmware ${session.firmware} of ${session.name}: ${compatibility.message}.`, logType);
+    if (compatibility.level === COMPATIBILITY_LEVEL.BLOCK) {
+        appendLog(`Commands to ${session.name} are blocked except ${ALWAYS_ALLOWED_COMMANDS.join(', ')}.`, 'error');
+    }
+    publish(EVENTS.FIRMWARE_CHECKED, { session, compatibility, isActive });
+}
+
+/**
+ * Name the firmware of a session uses for an app command
+ */
+export function toDeviceCommandName(compatibility, cmd) {
+    return (compatibility && compatibility.commandNames[cmd]) || cmd;
+}
+
+function toAppCommandName(compatibility, name) {
+    const entry = Object.entries(compatibility.commandNames).find(([, deviceName]) => deviceName === name);
+    return entry ? entry[0] : name;
+}
+
+/**
+ * Converts a status bitmask from the firmware's layout to STATUS_BITS
+ */
+export function toCanonicalStatus(status, compatibility) {
+    const layout = compatibility && compatibility.statusLayout;
+    if (!layout) return status;
+    return Object.entries(layout).reduce((bits, [flag, position]) => (
+        status & (1 << position) ? bits | STATUS_BITS[flag] : bits
+    ), 0);
+}
+
+/**
+ * Why a command must not be sent to a session, or null if it can be
+ * @returns {string|null}
+ */
+export function getCommandRefusal(session, cmd) {
+    if (ALWAYS_ALLOWED_COMMANDS.includes(cmd)) return null;
+    const { compatibility, capabilities } = session;
+    if (compatibility && compatibility.level === COMPATIBILITY_LEVEL.BLOCK) {
+        return `Firmware ${compatibility.version} of ${session.name} is not supported (${compatibility.message}).`;
+    }
+    if (capabilities && capabilities.commands && !capabilities.commands.includes(cmd)) {
+        return `"${cmd}" is not supported by ${session.name}${session.firmware ? ` (firmware ${session.firmware})` : ''}.`;
+    }
+    return null;
+}
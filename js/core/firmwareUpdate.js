@@ -0,0 +1,160 @@
+// Over-the-air firmware update of a connected stand. The image file (see utils/firmwareImage.js) is
+// sent whole, OTA_CHUNK_BYTES at a time, over the command channel:
+//
+//   ota_begin { size, crc, version }  ACK { offset } - bytes of this image (same crc) the stand already
+//                                      holds from an interrupted transfer, 0 for a new one
+//   ota_chunk { offset, data }        data is base64; ACK { offset } - the next offset the stand expects
+//   ota_end   { crc }                 ACK once the stand has verified the stored image, NACK if it does not match
+//   ota_apply                         ACK, then the stand reboots into the new image and the link drops
+//   ota_abort                         discards the partial image
+//
+// A transfer that fails (link lost, NACK) keeps the partial image on the stand; starting the update
+// again with the same file resumes it.
+import { state } from '../state.js';
+import { sendCommand } from '../utils/bluetooth.js';
+import { appendLog } from '../utils/logUtils.js';
+import { isSessionArmed } from './statusManager.js';
+import { waitForEvent, EVENTS } from './eventBus.js';
+import { supportsCommand } from './capabilities.js';
+import { checkFirmwareCompatibility, parseFirmwareVersion, COMPATIBILITY_LEVEL } from './firmwareCompatibility.js';
+import { OTA_CHUNK_BYTES, OTA_VERIFY_TIMEOUT_MS, OTA_REBOOT_TIMEOUT_MS } from '../config/constants.js';
+
+/**
+ * @typedef {Object} UpdateProgress
+ * @property {string} phase - 'transfer', 'verify' or 'reboot'
+ * @property {number} offset - Bytes the stand holds
+ * @property {number} size - Image size
+ * @property {number} resumedAt - Offset the transfer resumed from, 0 for a fresh one
+ */
+
+function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Checks an image against the stand before anything is sent
+ * @param {import('../utils/firmwareImage.js').FirmwareImage} image
+ * @param {{ allowDowngrade: boolean }} options - Also allows reinstalling the running version
+ * @returns {{ problems: string[], warnings: string[] }} Problems prevent the update
+ */
+export function checkFirmwareImage(session, image, { allowDowngrade = false } = {}) {
+    const problems = [];
+    const warnings = [];
+
+    if (!supportsCommand(session.capabilities, 'ota_begin')) {
+        problems.push(`${session.name} does not support updates over the air.`);
+    }
+    const hardware = session.capabilities ? session.capabilities.hardwareRevision : null;
+    if (image.hardware && hardware && image.hardware !== hardware) {
+        problems.push(`The image is built for hardware ${image.hardware}, ${session.name} is ${hardware}.`);
+    }
+    const compatibility = checkFirmwareCompatibility(image.version);
+    if (compatibility.level === COMPATIBILITY_LEVEL.BLOCK) {
+        problems.push(`This app cannot work with firmware ${image.version} (${compatibility.message}).`);
+    } else if (compatibility.level === COMPATIBILITY_LEVEL.WARN) {
+        warnings.push(`Firmware ${image.version}: ${compatibility.message}.`);
+    }
+
+    const running = parseFirmwareVersion(session.firmware);
+    if (running) {
+        const order = compareVersions(parseFirmwareVersion(image.version), running);
+        if (order <= 0) {
+            const text = order < 0
+                ? `${image.version} is older than the running ${session.firmware}.`
+                : `${session.name} already runs ${session.firmware}.`;
+            (allowDowngrade ? warnings : problems).push(text);
+        }
+    } else {
+        warnings.push(`The running firmware version of ${session.name} is unknown.`);
+    }
+    return { problems, warnings };
+}
+
+function assertSafeToUpdate(session) {
+    if (isSessionArmed(session)) {
+        throw new Error(`Disarm ${session.name} before updating its firmware.`);
+    }
+    if (state.analysis.running) {
+        throw new Error('Stop the running analysis before updating firmware.');
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * Transfers, verifies and applies an image, then waits for the stand to come back with it
+ * @param {Uint8Array} bytes - Whole image file
+ * @param {import('../utils/firmwareImage.js').FirmwareImage} image - Its parsed header
+ * @param {{ onProgress?: Function, signal?: AbortSignal }} options - onProgress receives UpdateProgress
+ */
+export async function updateFirmware(session, bytes, image, { onProgress = () => {}, signal = null } = {}) {
+    assertSafeToUpdate(session);
+    const options = { deviceId: session.id };
+
+    const begin = await sendCommand('ota_begin', { size: image.size, crc: image.crc, version: image.version }, options);
+    const held = Number(begin && begin.offset);
+    let offset = held > 0 && held <= image.size ? held : 0;
+    const resumedAt = offset;
+    appendLog(resumedAt
+        ? `Firmware update of ${session.name}: resuming ${image.version} at ${resumedAt} of ${image.size} bytes.`
+        : `Firmware update of ${session.name}: sending ${image.version} (${image.size} bytes).`);
+    onProgress({ phase: 'transfer', offset, size: image.size, resumedAt });
+
+    while (offset < image.size) {
+        if (signal && signal.aborted) {
+            await sendCommand('ota_abort', {}, options).catch(() => {});
+            throw new Error('Firmware update cancelled.');
+        }
+        const chunk = bytes.subarray(offset, offset + OTA_CHUNK_BYTES);
+        const ack = await sendCommand('ota_chunk', { offset, data: toBase64(chunk) }, options);
+        const next = Number(ack && ack.offset);
+        if (!Number.isFinite(next)) {
+            offset += chunk.length;
+        } else if (next <= offset || next > image.size) {
+            // Sending the chunk at that offset again would loop forever
+            await sendCommand('ota_abort', {}, options).catch(() => {});
+            throw new Error(`${session.name} acknowledged offset ${next} for the chunk at ${offset} of ${image.size} bytes; update aborted.`);
+        } else {
+            offset = next;
+        }
+        onProgress({ phase: 'transfer', offset, size: image.size, resumedAt });
+    }
+
+    onProgress({ phase: 'verify', offset, size: image.size, resumedAt });
+    await sendCommand('ota_end', { crc: image.crc }, { ...options, timeout: OTA_VERIFY_TIMEOUT_MS, retries: 0 });
+
+    // The stand reports its version again once it is back (auto-reconnect, or the user reconnecting)
+    onProgress({ phase: 'reboot', offset, size: image.size, resumedAt });
+    const cancel = new AbortController();
+    const restarted = waitForEvent(
+        EVENTS.FIRMWARE_CHECKED,
+        payload => payload.session.id === session.id,
+        OTA_REBOOT_TIMEOUT_MS,
+        `${session.name} did not come back within ${OTA_REBOOT_TIMEOUT_MS / 1000} s; reconnect it to check the update.`,
+        cancel.signal
+    );
+    try {
+        await sendCommand('ota_apply', {}, { ...options, retries: 0 });
+    } catch (err) {
+        cancel.abort(err);
+        restarted.catch(() => {}); // Rejected with the same error
+        throw err;
+    }
+    appendLog(`Firmware update of ${session.name}: image verified, rebooting.`);
+
+    const { session: updated } = await restarted;
+    const reported = parseFirmwareVersion(updated.firmware);
+    if (!reported || compareVersions(reported, parseFirmwareVersion(image.version)) !== 0) {
+        throw new Error(`${updated.name} reports firmware ${updated.firmware} after the update, expected ${image.version}.`);
+    }
+    appendLog(`Firmware update of ${updated.name} complete: now running ${updated.firmware}.`);
+}
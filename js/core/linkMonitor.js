@@ -0,0 +1,130 @@
+// Core link-quality monitoring: measures every connected stand once per LINK_SAMPLE_INTERVAL_MS
+// (see linkQuality.js) and shows the active one in the signal indicator and its history graph
+import { getSessions, getActiveSession } from '../state.js';
+import { LINK_SAMPLE_INTERVAL_MS, LINK_HISTORY_CAPACITY } from '../config/constants.js';
+
+const QUALITY_LABELS = ['No link', 'Poor', 'Fair', 'Good', 'Excellent'];
+const QUALITY_COLORS = ['#30363d', '#dc3545', '#f39c12', '#2ecc71', '#2ecc71'];
+const HISTORY_SPAN_S = (LINK_HISTORY_CAPACITY * LINK_SAMPLE_INTERVAL_MS) / 1000;
+
+let monitorInterval = null;
+let historyChart = null;
+
+/**
+ * Starts sampling the links of all connected stands (no-op if already running)
+ */
+export function startLinkMonitoring() {
+    if (monitorInterval) return;
+    monitorInterval = setInterval(sampleLinks, LINK_SAMPLE_INTERVAL_MS);
+}
+
+/**
+ * Stops link monitoring and clears the indicator
+ */
+export function stopLinkMonitoring() {
+    if (monitorInterval) {
+        clearInterval(monitorInterval);
+        monitorInterval = null;
+    }
+    showActiveLink();
+}
+
+function sampleLinks() {
+    const sessions = getSessions();
+    if (!sessions.length) {
+        stopLinkMonitoring();
+        return;
+    }
+    // Stands that are reconnecting are sampled too, so the drop shows in their history
+    sessions.forEach((session) => {
+        const stats = session.commands ? session.commands.getStats() : null;
+        session.linkQuality.snapshot(stats ? stats.roundTripMs : null);
+    });
+    showActiveLink();
+}
+
+/**
+ * Shows the latest measurement and history of the active stand
+ */
+export function showActiveLink() {
+    const session = getActiveSession();
+    const latest = session ? session.linkQuality.history.latest() : null;
+    updateLinkDisplay(latest, session ? session.linkQuality.totals : null);
+    renderLinkHistory(session ? session.linkQuality.history.toArray() : []);
+}
+
+/**
+ * Updates the signal indicator and link figures
+ * @param {import('./linkQuality.js').LinkSnapshot|null} snapshot
+ * @param {{ frames: number, lost: number }|null} totals
+ */
+function updateLinkDisplay(snapshot, totals) {
+    const rssiValue = document.getElementById('rssiValue');
+    const linkStats = document.getElementById('linkStats');
+    const signalBars = document.querySelectorAll('#rssiIndicator .signal-bar');
+
+    if (!snapshot) {
+        if (rssiValue) rssiValue.textContent = '--';
+        if (linkStats) linkStats.textContent = '';
+        signalBars.forEach(bar => bar.style.background = '#30363d');
+        return;
+    }
+
+    if (rssiValue) {
+        rssiValue.textContent = snapshot.rssi !== null
+            ? `${snapshot.rssi} dBm`
+            : `${QUALITY_LABELS[snapshot.quality]} (measured)`;
+    }
+    signalBars.forEach((bar, index) => {
+        bar.style.background = index < snapshot.quality ? QUALITY_COLORS[snapshot.quality] : '#30363d';
+    });
+
+    if (linkStats) {
+        const parts = [`${snapshot.rate.toFixed(1)} msg/s`];
+        if (snapshot.jitterMs !== null) parts.push(`jitter ${Math.round(snapshot.jitterMs)} ms`);
+        if (snapshot.lossPercent !== null) parts.push(`loss ${snapshot.lossPercent.toFixed(1)}% (${totals.lost} of ${totals.frames + totals.lost} frames)`);
+        parts.push(`RTT ${snapshot.roundTripMs !== null ? `${Math.round(snapshot.roundTripMs)} ms` : '--'}`);
+        linkStats.textContent = parts.join(' · ');
+    }
+}
+
+function renderLinkHistory(history) {
+    const canvas = document.getElementById('linkHistoryChart');
+    if (!canvas || typeof Chart === 'undefined') return;
+
+    const now = Date.now();
+    const points = (key) => history.map(s => ({ x: (s.time - now) / 1000, y: s[key] }));
+    const hasRssi = history.some(s => s.rssi !== null);
+    const datasets = [
+        { label: 'Rate (msg/s)', data: points('rate'), borderColor: '#149eca', yAxisID: 'y' },
+        { label: 'Loss (%)', data: points('lossPercent'), borderColor: '#e74c3c', yAxisID: 'y' },
+        { label: 'RTT (ms)', data: points('roundTripMs'), borderColor: '#f39c12', yAxisID: 'y1' },
+        { label: 'RSSI (dBm)', data: hasRssi ? points('rssi') : [], borderColor: '#27ae60', yAxisID: 'y2', hidden: !hasRssi }
+    ].map(dataset => ({ ...dataset, fill: false, pointRadius: 0, borderWidth: 1, spanGaps: false }));
+
+    if (historyChart) {
+        historyChart.data.datasets.forEach((dataset, i) => {
+            dataset.data = datasets[i].data;
+            dataset.hidden = datasets[i].hidden;
+        });
+        historyChart.update('none');
+        return;
+    }
+
+    historyChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: { datasets },
+        options: {
+            animation: false,
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { labels: { boxWidth: 10, font: { size: 9 } } } },
+            scales: {
+                x: { type: 'linear', min: -HISTORY_SPAN_S, max: 0, ticks: { font: { size: 9 }, callback: v => `${v}s` } },
+                y: { position: 'left', beginAtZero: true, ticks: { font: { size: 9 } } },
+                y1: { position: 'right', beginAtZero: true, display: 'auto', grid: { drawOnChartArea: false }, ticks: { font: { size: 9 } } },
+                y2: { position: 'right', display: 'auto', grid: { drawOnChartArea: false }, ticks: { font: { size: 9 } } }
+            }
+        }
+    });
+}
@@ -0,0 +1,139 @@
+// Link-quality measurement of one stand: notification rate, inter-arrival jitter, frames lost
+// according to the 'seq' counter, command round-trip time and device-reported RSSI.
+import { createRingBuffer } from '../utils/ringBuffer.js';
+import { LINK_WINDOW_MS, LINK_HISTORY_CAPACITY, LINK_RSSI_MAX_AGE_MS } from '../config/constants.js';
+
+const SEQ_MODULO = 0x10000;
+const MAX_SEQ_GAP = 1000; // A larger jump is a restarted counter (reboot), not lost frames
+
+/**
+ * @typedef {Object} LinkSnapshot
+ * @property {number} time - epoch ms
+ * @property {number} rate - Messages per second over the window
+ * @property {number|null} jitterMs - Mean deviation of the telemetry inter-arrival time
+ * @property {number|null} lossPercent - Frames missing from the seq counter, null if the firmware sends none
+ * @property {number|null} roundTripMs - Smoothed command round trip (see createCommandChannel)
+ * @property {number|null} rssi - Device-reported RSSI in dBm, null if not reported recently
+ * @property {number} quality - 0 (no link) to 4 (excellent), shown as signal bars
+ */
+
+export function createLinkQuality() {
+    let messageTimes = [];  // Arrival of every message in the window
+    let frames = [];        // { time, lost, counted } of every telemetry frame in the window
+    let lastSeq = null;
+    let rssi = null;
+    let rssiTime = 0;
+    const totals = { frames: 0, lost: 0 };
+    const history = createRingBuffer(LINK_HISTORY_CAPACITY);
+
+    function prune(now) {
+        const start = now - LINK_WINDOW_MS;
+        if (messageTimes.length && messageTimes[0] < start) messageTimes = messageTimes.filter(t => t >= start);
+        if (frames.length && frames[0].time < start) frames = frames.filter(f => f.time >= start);
+    }
+
+    function recordMessage(hostTime) {
+        messageTimes.push(hostTime);
+        prune(hostTime);
+    }
+
+    /**
+     * @param {number|undefined} seq - Frame counter (16 bit), if the firmware sends one
+     */
+    function recordFrame(seq, hostTime) {
+        let lost = 0;
+        if (seq !== undefined) {
+            if (lastSeq !== null) {
+                const step = (seq - lastSeq + SEQ_MODULO) % SEQ_MODULO;
+                if (step > 1 && step <= MAX_SEQ_GAP) lost = step - 1;
+            }
+            lastSeq = seq;
+        }
+        frames.push({ time: hostTime, lost, counted: seq !== undefined });
+        totals.frames++;
+        totals.lost += lost;
+    }
+
+    function recordRssi(value, hostTime) {
+        const number = Number(value);
+        if (!isFinite(number)) return;
+        rssi = Math.round(number);
+        rssiTime = hostTime;
+    }
+
+    /**
+     * The counter restarts with the link (reconnect, reboot); the next frame is not compared with the last one
+     */
+    function resetSequence() {
+        lastSeq = null;
+    }
+
+    /**
+     * Measures the window, keeps the result in the history and returns it
+     * @param {number|null} roundTripMs
+     * @returns {LinkSnapshot}
+     */
+    function snapshot(roundTripMs, now = Date.now()) {
+        prune(now);
+        const rate = messageTimes.length / (LINK_WINDOW_MS / 1000);
+
+        let jitterMs = null;
+        if (frames.length > 2) {
+            const intervals = frames.slice(1).map((f, i) => f.time - frames[i].time);
+            const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+            jitterMs = intervals.reduce((a, b) => a + Math.abs(b - mean), 0) / intervals.length;
+        }
+
+        const counted = frames.filter(f => f.counted);
+        let lossPercent = null;
+        if (counted.length) {
+            const lost = counted.reduce((sum, f) => sum + f.lost, 0);
+            lossPercent = (lost / (counted.length + lost)) * 100;
+        }
+
+        const recentRssi = now - rssiTime <= LINK_RSSI_MAX_AGE_MS ? rssi : null;
+        const result = { time: now, rate, jitterMs, lossPercent, roundTripMs, rssi: recentRssi };
+        result.quality = linkQualityLevel(result);
+        history.push(result);
+        return result;
+    }
+
+    return {
+        recordMessage,
+        recordFrame,
+        recordRssi,
+        resetSequence,
+        snapshot,
+        history,
+        get totals() {
+            return { ...totals };
+        }
+    };
+}
+
+/**
+ * Signal bars: from the device RSSI when it reports one, otherwise from what the app measures
+ */
+function linkQualityLevel({ rate, jitterMs, lossPercent, roundTripMs, rssi }) {
+    if (rate === 0) return 0;
+    if (rssi !== null) {
+        if (rssi >= -50) return 4;
+        if (rssi >= -60) return 3;
+        if (rssi >= -70) return 2;
+        if (rssi >= -80) return 1;
+        return 0;
+    }
+    let quality = 4;
+    if (lossPercent !== null) {
+        if (lossPercent > 15) quality = 1;
+        else if (lossPercent > 5) quality = 2;
+        else if (lossPercent > 1) quality = 3;
+    }
+    if (roundTripMs !== null) {
+        if (roundTripMs > 400) quality = Math.min(quality, 2);
+        else if (roundTripMs > 150) quality = Math.min(quality, 3);
+    }
+    // Irregular arrival: deviation above half the mean interval
+    if (jitterMs !== null && rate > 0 && jitterMs > 500 / rate) quality = Math.max(1, quality - 1);
+    return quality;
+}
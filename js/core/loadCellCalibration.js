@@ -0,0 +1,244 @@
+// Load-cell tare and calibration: tares the HX711, averages the thrust reading under known reference
+// masses, fits the scale factor and writes it to the stand. Every calibration is kept per device
+// (localStorage) so thrust numbers can be traced to the calibration they were measured with.
+//
+// Firmware commands:
+//   tare                 ACK; HX711_TARE_OK is cleared while taring and set again when done
+//   get_scale            ACK, then { type: 'scale', value } - load-cell counts per gram
+//   set_scale value      ACK once the new factor is stored
+import { sendCommand } from '../utils/bluetooth.js';
+import { waitForEvent, EVENTS } from './eventBus.js';
+import { STATUS_BITS, isSessionArmed } from './statusManager.js';
+import {
+    CALIBRATION_TARE_TIMEOUT_MS,
+    CALIBRATION_SETTLE_MS,
+    CALIBRATION_SAMPLE_COUNT,
+    CALIBRATION_READ_TIMEOUT_MS,
+    CALIBRATION_MAX_NONLINEARITY_PERCENT,
+    CALIBRATION_HISTORY_PER_DEVICE
+} from '../config/constants.js';
+
+const CALIBRATION_STORAGE_KEY = 'loadCellCalibrations';
+const SCALE_REPLY_TIMEOUT_MS = 3000;
+
+/**
+ * @typedef {Object} CalibrationPoint
+ * @property {number} mass - Reference mass, g (0 for the tared zero)
+ * @property {number} reading - Mean thrust reading with the previous scale factor, g
+ * @property {number} noise - Standard deviation of the averaged readings, g
+ */
+
+/**
+ * @typedef {Object} CalibrationFit
+ * @property {number} previousScale - Factor in use while the points were measured
+ * @property {number} scale - Fitted factor, counts per gram
+ * @property {number} zeroOffset - Reading the fitted line gives with no mass, g
+ * @property {number|null} nonlinearityPercent - Largest deviation from the line, % of the heaviest mass; null with a single mass
+ * @property {boolean} linear - Whether the deviation is within CALIBRATION_MAX_NONLINEARITY_PERCENT
+ */
+
+/**
+ * @typedef {Object} CalibrationRecord
+ * @property {number} time - epoch ms
+ * @property {string} deviceName
+ * @property {string|null} firmware
+ * @property {number} previousScale
+ * @property {number} scale
+ * @property {number} zeroOffset
+ * @property {number|null} nonlinearityPercent
+ * @property {CalibrationPoint[]} points
+ */
+
+function assertDisarmed(session) {
+    if (isSessionArmed(session)) {
+        throw new Error(`Disarm ${session.name} before calibrating the load cell.`);
+    }
+}
+
+/**
+ * Reads the scale factor the stand uses now
+ * @returns {Promise<number>}
+ */
+export async function readScale(session) {
+    // Listening before the command goes out, so a reply right behind the ACK is not missed
+    const cancel = new AbortController();
+    const reply = waitForEvent(
+        EVENTS.LOAD_CELL_SCALE,
+        payload => payload.session === session,
+        SCALE_REPLY_TIMEOUT_MS,
+        `${session.name} did not report its load-cell scale.`,
+        cancel.signal
+    );
+    try {
+        await sendCommand('get_scale', {}, { deviceId: session.id });
+    } catch (err) {
+        cancel.abort(err);
+        reply.catch(() => {}); // Rejected with the same error, reported below
+        throw err;
+    }
+    const { scale } = await reply;
+    if (!isFinite(scale) || scale === 0) {
+        throw new Error(`${session.name} reported an invalid load-cell scale: ${scale}`);
+    }
+    return scale;
+}
+
+/**
+ * Tares the load cell and waits until the stand reports HX711_TARE_OK again. The flag has to be
+ * seen cleared first: one still set from an earlier tare says nothing about this one.
+ */
+export async function tareLoadCell(session) {
+    assertDisarmed(session);
+    let cleared = false;
+    // Listening before the command goes out, so a short tare is not missed
+    const cancel = new AbortController();
+    const confirmed = waitForEvent(
+        EVENTS.TELEMETRY,
+        ({ sample, session: from }) => {
+            if (from !== session || sample.status === undefined) return false;
+            if (!(sample.status & STATUS_BITS.HX711_TARE_OK)) {
+                cleared = true;
+                return false;
+            }
+            return cleared;
+        },
+        CALIBRATION_TARE_TIMEOUT_MS,
+        `${session.name} did not confirm the tare (HX711_TARE_OK).`,
+        cancel.signal
+    );
+    try {
+        await sendCommand('tare', {}, { deviceId: session.id });
+    } catch (err) {
+        cancel.abort(err);
+        confirmed.catch(() => {}); // Rejected with the same error
+        throw err;
+    }
+    await confirmed;
+}
+
+/**
+ * Waits for the reading to settle, then averages CALIBRATION_SAMPLE_COUNT thrust readings
+ * @param {number} mass - Reference mass hanging on the load cell, g
+ * @returns {Promise<CalibrationPoint>}
+ */
+export async function measureReferencePoint(session, mass) {
+    assertDisarmed(session);
+    const settledAt = Date.now() + CALIBRATION_SETTLE_MS;
+    const readings = [];
+    await waitForEvent(
+        EVENTS.TELEMETRY,
+        ({ sample, session: from }) => {
+            if (from !== session || sample.hostTime < settledAt || sample.thrust === undefined) return false;
+            readings.push(sample.thrust);
+            return readings.length >= CALIBRATION_SAMPLE_COUNT;
+        },
+        CALIBRATION_SETTLE_MS + CALIBRATION_READ_TIMEOUT_MS,
+        `Not enough load-cell readings from ${session.name}.`
+    );
+    const reading = readings.reduce((a, b) => a + b, 0) / readings.length;
+    const noise = Math.sqrt(readings.reduce((sum, r) => sum + (r - reading) ** 2, 0) / readings.length);
+    return { mass, reading, noise };
+}
+
+/**
+ * Fits reading = gain × mass + offset by least squares. The readings were taken with previousScale,
+ * so the factor that makes them match the masses is previousScale × gain.
+ * @param {number} previousScale
+ * @param {CalibrationPoint[]} points - The tared zero and one or more reference masses
+ * @returns {CalibrationFit}
+ */
+export function fitCalibration(previousScale, points) {
+    const masses = [...new Set(points.map(p => p.mass))];
+    if (masses.length < 2 || !masses.some(m => m > 0)) {
+        throw new Error('Measure the zero and at least one reference mass.');
+    }
+
+    const n = points.length;
+    const meanMass = points.reduce((sum, p) => sum + p.mass, 0) / n;
+    const meanReading = points.reduce((sum, p) => sum + p.reading, 0) / n;
+    const covariance = points.reduce((sum, p) => sum + (p.mass - meanMass) * (p.reading - meanReading), 0);
+    const variance = points.reduce((sum, p) => sum + (p.mass - meanMass) ** 2, 0);
+    const gain = covariance / variance;
+    if (!(gain > 0)) {
+        throw new Error('The reading does not increase with the mass; check that the masses pull in the thrust direction.');
+    }
+    const zeroOffset = meanReading - gain * meanMass;
+
+    // A line through two distinct masses always fits; linearity needs a third
+    let nonlinearityPercent = null;
+    if (masses.length > 2) {
+        const maxMass = Math.max(...masses);
+        const maxDeviation = Math.max(...points.map(p => Math.abs(p.reading - (gain * p.mass + zeroOffset))));
+        nonlinearityPercent = (maxDeviation / (gain * maxMass)) * 100;
+    }
+
+    return {
+        previousScale,
+        scale: previousScale * gain,
+        zeroOffset,
+        nonlinearityPercent,
+        linear: nonlinearityPercent === null || nonlinearityPercent <= CALIBRATION_MAX_NONLINEARITY_PERCENT
+    };
+}
+
+/**
+ * Writes a fitted scale factor to the stand and records the calibration
+ * @param {CalibrationFit} fit
+ * @param {CalibrationPoint[]} points
+ * @returns {Promise<CalibrationRecord>}
+ */
+export async function writeCalibration(session, fit, points) {
+    assertDisarmed(session);
+    if (!fit.linear) {
+        throw new Error(`Non-linearity of ${fit.nonlinearityPercent.toFixed(2)}% is above ${CALIBRATION_MAX_NONLINEARITY_PERCENT}%; the scale was not written.`);
+    }
+    await sendCommand('set_scale', { value: fit.scale }, { deviceId: session.id });
+
+    const record = {
+        time: Date.now(),
+        deviceName: session.name,
+        firmware: session.firmware,
+        previousScale: fit.previousScale,
+        scale: fit.scale,
+        zeroOffset: fit.zeroOffset,
+        nonlinearityPercent: fit.nonlinearityPercent,
+        points: points.map(({ mass, reading, noise }) => ({ mass, reading, noise }))
+    };
+    const calibrations = loadCalibrations();
+    const history = [...(calibrations[session.id] || []), record];
+    calibrations[session.id] = history.slice(-CALIBRATION_HISTORY_PER_DEVICE);
+    saveCalibrations(calibrations);
+    return record;
+}
+
+function loadCalibrations() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY) || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveCalibrations(calibrations) {
+    try {
+        localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibrations));
+    } catch (e) {}
+}
+
+/**
+ * Calibrations of a device written from this app, oldest first
+ * @returns {CalibrationRecord[]}
+ */
+export function getCalibrationHistory(deviceId) {
+    const history = loadCalibrations()[deviceId];
+    return Array.isArray(history) ? history : [];
+}
+
+/**
+ * @returns {CalibrationRecord|null}
+ */
+export function getLatestCalibration(deviceId) {
+    const history = getCalibrationHistory(deviceId);
+    return history.length ? history[history.length - 1] : null;
+}
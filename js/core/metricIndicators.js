@@ -1,273 +1,255 @@
-// Core metric indicator updates (battery, RPM, thrust, current, temperature)
+// Core metric indicators: one registry of telemetry metrics (how each is formatted, what fills its
+// card and how the fill is coloured) and the display elements bound to each. Any number of elements
+// can show the same metric, in any document (Control and Analize tabs, a pop-out window, a kiosk
+// view): mark them with data-metric="<metric>" and bind them, or bind them one by one.
+// Binding also gives the element's card a sparkline of the last METRIC_SPARKLINE_SPAN_S seconds and
+// the minimum, peak and average since arming (see metricStats.js), with a reset button.
+import { subscribe, EVENTS } from './eventBus.js';
+import { estimateBattery } from './batteryModel.js';
+import { METRIC_SPARKLINE_SPAN_S, METRIC_SPARKLINE_REDRAW_MS } from '../config/constants.js';
+
+// Profile of the active stand, published by the Profiles tab; its limits scale the indicators
+let activeProfile = null;
+subscribe(EVENTS.ACTIVE_PROFILE_CHANGED, ({ profile }) => {
+    activeProfile = profile;
+});
+// The figures and sparklines follow the active stand, and go blank with it
+subscribe(EVENTS.ACTIVE_DEVICE_CHANGED, ({ session }) => showSession(session));
+subscribe(EVENTS.DEVICE_DISCONNECTED, ({ deviceId }) => {
+    if (shownSession && shownSession.id === deviceId) showSession(null);
+});
 
 /**
- * Gets the current active profile
+ * Colour scales of the card fill, highest threshold first: [percentage above which, colour]
  */
-function getCurrentActiveProfile() {
-    if (typeof window.getCurrentActiveProfile === 'function') {
-        const profile = window.getCurrentActiveProfile();
-        if (profile) {
-            console.log('Active profile found:', profile.profileName, profile);
-        } else {
-            console.log('No active profile set');
-        }
-        return profile;
-    }
-    console.warn('window.getCurrentActiveProfile is not defined!');
-    return null;
-}
+const COLOR_SCALES = {
+    // Higher = more dangerous (RPM, current, temperature)
+    rising: [[90, 'rgba(250, 60, 79, 0.6)'], [70, 'rgba(252, 114, 64, 0.6)'], [50, 'rgba(246, 188, 15, 0.6)'], [-Infinity, 'rgba(57, 238, 99, 0.6)']],
+    // Lower = more dangerous (battery)
+    falling: [[60, 'rgba(57, 238, 99, 0.6)'], [30, 'rgba(246, 188, 15, 0.6)'], [15, 'rgba(252, 114, 64, 0.6)'], [-Infinity, 'rgba(250, 60, 79, 0.6)']]
+};
 
 /**
- * Calculates gradient background based on percentage and thresholds
- * @param {number} percentage - Percentage (0-100)
- * @param {boolean} inverse - If true, higher percentage = red (danger)
+ * Fill as a share of a profile limit; a limit of 0 or less is not set
+ * @param {Function} getLimit - profile -> limit, in the metric's unit
  */
-function getGradientColor(percentage, inverse = false) {
-    let color;
-    if (inverse) {
-        // Higher = more dangerous (RPM, current, temp)
-        if (percentage > 90) color = 'rgba(250, 60, 79, 0.6)'; // Red
-        else if (percentage > 70) color = 'rgba(252, 114, 64, 0.6)'; // Orange
-        else if (percentage > 50) color = 'rgba(246, 188, 15, 0.6)'; // Yellow
-        else color = 'rgba(57, 238, 99, 0.6)'; // Green
-    } else {
-        // Lower = more dangerous (battery)
-        if (percentage > 60) color = 'rgba(57, 238, 99, 0.6)'; // Green
-        else if (percentage > 30) color = 'rgba(246, 188, 15, 0.6)'; // Yellow
-        else if (percentage > 15) color = 'rgba(252, 114, 64, 0.6)'; // Orange
-        else color = 'rgba(250, 60, 79, 0.6)'; // Red
-    }
-    return color;
+function profileLimit(getLimit) {
+    return (value, sample, profile) => {
+        const limit = profile ? Number(getLimit(profile)) : 0;
+        return limit > 0 ? (value / limit) * 100 : null;
+    };
 }
 
 /**
- * Applies gradient to a parent element
- * @param {string} childSelector - Child element selector (e.g., '#voltageMetric')
- * @param {number} percentage - Percentage for gradient
- * @param {string} color - Color for gradient
+ * Battery fill: state of charge on the profile's chemistry curve, sag-compensated when the pack
+ * resistance is known (see batteryModel.js)
  */
-function applyGradient(childSelector, percentage, color) {
-    const child = document.querySelector(childSelector);
-    if (child && child.parentElement) {
-        child.parentElement.style.background = `linear-gradient(to right, ${color} ${percentage}%, transparent ${percentage}%)`;
-        console.log(`Applied gradient to ${childSelector}: ${percentage}% ${color}`);
-    } else {
-        console.warn(`Failed to apply gradient - element not found: ${childSelector}`);
-    }
+function batteryCharge(voltage, sample, profile) {
+    const estimate = profile ? estimateBattery(voltage, sample.current, {
+        cellCount: profile.batteryCellCount,
+        chemistry: profile.batteryChemistry,
+        internalResistance: profile.batteryInternalResistance
+    }) : null;
+    return estimate ? estimate.compensatedSoc ?? estimate.soc : null;
 }
 
 /**
- * Clears gradient from a parent element
- * @param {string} childSelector - Child element selector (e.g., '#voltageMetric')
+ * @typedef {Object} MetricIndicator
+ * @property {Function} format - value -> display text
+ * @property {Function|null} fill - (value, sample, profile) -> card fill %, null when there is nothing to scale to
+ * @property {string} colorScale - Key of COLOR_SCALES
  */
-function clearGradient(childSelector) {
-    const child = document.querySelector(childSelector);
-    if (child && child.parentElement) {
-        child.parentElement.style.background = '';
-    }
-}
-
-// ===== BATTERY INDICATORS =====
-
-export function updateBatteryIndicator(voltage) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.batteryCellCount || activeProfile.batteryCellCount === 0) {
-        clearGradient('#voltageMetric');
-        return;
-    }
-    
-    const cellCount = activeProfile.batteryCellCount;
-    const minVoltagePerCell = 3.0;
-    const maxVoltagePerCell = 4.2;
-    
-    const minVoltage = cellCount * minVoltagePerCell;
-    const maxVoltage = cellCount * maxVoltagePerCell;
-    
-    let percentage = ((voltage - minVoltage) / (maxVoltage - minVoltage)) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, false);
-    applyGradient('#voltageMetric', percentage, color);
-}
-
-export function updateBatteryIndicatorAnalize(voltage) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.batteryCellCount || activeProfile.batteryCellCount === 0) {
-        clearGradient('#analizeVoltage');
-        return;
-    }
-    
-    const cellCount = activeProfile.batteryCellCount;
-    const minVoltagePerCell = 3.0;
-    const maxVoltagePerCell = 4.2;
-    const minVoltage = cellCount * minVoltagePerCell;
-    const maxVoltage = cellCount * maxVoltagePerCell;
-    
-    let percentage = ((voltage - minVoltage) / (maxVoltage - minVoltage)) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, false);
-    applyGradient('#analizeVoltage', percentage, color);
-}
-
-// ===== RPM INDICATORS =====
 
-export function updateRPMIndicator(rpm) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxRPM || activeProfile.maxRPM === 0) {
-        clearGradient('#rpmMetric');
-        return;
-    }
-    
-    const maxRPM = activeProfile.maxRPM;
-    let percentage = (rpm / maxRPM) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#rpmMetric', percentage, color);
-}
-
-export function updateRPMIndicatorAnalize(rpm) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxRPM || activeProfile.maxRPM === 0) {
-        clearGradient('#analizeRpm');
-        return;
-    }
-    
-    const maxRPM = activeProfile.maxRPM;
-    let percentage = (rpm / maxRPM) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#analizeRpm', percentage, color);
-}
+/** @type {Object<string, MetricIndicator>} Keyed by canonical telemetry field (see telemetrySchema.js) */
+const METRIC_INDICATORS = {
+    voltage: { format: v => `${v.toFixed(2)} V`, fill: batteryCharge, colorScale: 'falling' },
+    current: { format: v => `${v.toFixed(2)} A`, fill: profileLimit(p => p.maxCurrent), colorScale: 'rising' },
+    power: { format: v => `${v.toFixed(2)} W`, fill: null, colorScale: 'rising' },
+    rpm: { format: v => `${Math.round(v)}`, fill: profileLimit(p => p.maxRPM), colorScale: 'rising' },
+    thrust: { format: v => `${v.toFixed(2)} g`, fill: profileLimit(p => p.maxThrust * 1000), colorScale: 'rising' }, // kg in the profile
+    escTemp: { format: v => `${v.toFixed(1)} °C`, fill: profileLimit(p => p.maxESCTemp), colorScale: 'rising' },
+    motorTemp: { format: v => `${v.toFixed(1)} °C`, fill: profileLimit(p => p.maxMotorTemp), colorScale: 'rising' }
+};
 
-// ===== THRUST INDICATORS =====
+const SPARKLINE_COLOR = '#149eca';
 
-export function updateThrustIndicator(thrust) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxThrust || activeProfile.maxThrust === 0) {
-        clearGradient('#thrustMetric');
-        return;
-    }
-    
-    const thrustKg = thrust / 1000;
-    const maxThrust = activeProfile.maxThrust;
-    let percentage = (thrustKg / maxThrust) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#thrustMetric', percentage, color);
-}
+// metric -> Map of bound element -> { sparkline, stats, reset } added to its card
+const bindings = new Map(Object.keys(METRIC_INDICATORS).map(metric => [metric, new Map()]));
+let shownSession = null; // Stand whose telemetry the cards show
+let lastSparklineDraw = 0;
 
-export function updateThrustIndicatorAnalize(thrust) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxThrust || activeProfile.maxThrust === 0) {
-        clearGradient('#analizeThrust');
-        return;
-    }
-    
-    const thrustKg = thrust / 1000;
-    const maxThrust = activeProfile.maxThrust;
-    let percentage = (thrustKg / maxThrust) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#analizeThrust', percentage, color);
+/**
+ * Adds a metric to the registry (or replaces one), e.g. for a field new firmware sends
+ * @param {string} metric - Field of the telemetry sample
+ * @param {MetricIndicator} indicator
+ */
+export function registerMetricIndicator(metric, indicator) {
+    METRIC_INDICATORS[metric] = { fill: null, colorScale: 'rising', ...indicator };
+    if (!bindings.has(metric)) bindings.set(metric, new Map());
 }
 
-// ===== CURRENT INDICATORS =====
-
-export function updateCurrentIndicator(current) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxCurrent || activeProfile.maxCurrent === 0) {
-        clearGradient('#currentMetric');
-        return;
-    }
-    
-    const maxCurrent = activeProfile.maxCurrent;
-    let percentage = (current / maxCurrent) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#currentMetric', percentage, color);
+/**
+ * Shows a metric in an element; its parent (the metric card) gets the fill, sparkline and figures
+ * @returns {Function} Unbind, which also takes the sparkline and figures out of the card
+ */
+export function bindMetricElement(metric, element) {
+    const elements = bindings.get(metric);
+    if (!elements) {
+        throw new Error(`Unknown metric: ${metric}`);
+    }
+    if (!elements.has(element)) elements.set(element, decorateCard(metric, element));
+    return () => {
+        const extras = elements.get(element);
+        if (!extras) return;
+        Object.values(extras).forEach(extra => extra.remove());
+        elements.delete(element);
+    };
+}
+
+function decorateCard(metric, element) {
+    const card = element.parentElement;
+    const doc = element.ownerDocument;
+    const sparkline = doc.createElement('canvas');
+    sparkline.className = 'metric-sparkline';
+    const stats = doc.createElement('div');
+    stats.className = 'metric-stats';
+    stats.textContent = '--';
+    const reset = doc.createElement('button');
+    reset.type = 'button';
+    reset.className = 'metric-reset';
+    reset.textContent = '↺';
+    reset.title = 'Reset minimum, peak and average';
+    reset.addEventListener('click', () => resetMetricStats(metric));
+    if (card) card.append(sparkline, stats, reset);
+    return { sparkline, stats, reset };
 }
 
-export function updateCurrentIndicatorAnalize(current) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxCurrent || activeProfile.maxCurrent === 0) {
-        clearGradient('#analizeCurrent');
-        return;
-    }
-    
-    const maxCurrent = activeProfile.maxCurrent;
-    let percentage = (current / maxCurrent) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#analizeCurrent', percentage, color);
+/**
+ * Starts the minimum, peak and average of a metric over, on every card that shows it
+ */
+export function resetMetricStats(metric) {
+    if (!shownSession) return;
+    shownSession.metricStats.reset(metric);
+    renderStats(metric);
 }
 
-// ===== ESC TEMPERATURE INDICATORS =====
-
-export function updateESCTempIndicator(temp) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxESCTemp || activeProfile.maxESCTemp === 0) {
-        clearGradient('#escTempMetric');
-        return;
-    }
-    
-    const maxTemp = activeProfile.maxESCTemp;
-    let percentage = (temp / maxTemp) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#escTempMetric', percentage, color);
+/**
+ * Binds every [data-metric] element below root
+ * @param {Document|Element} root - The app document, or that of a pop-out window
+ * @returns {Function} Unbind them all
+ */
+export function bindMetricElements(root = document) {
+    const unbinds = Array.from(root.querySelectorAll('[data-metric]'))
+        .map(element => bindMetricElement(element.dataset.metric, element));
+    return () => unbinds.forEach(unbind => unbind());
 }
 
-export function updateESCTempIndicatorAnalize(temp) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxESCTemp || activeProfile.maxESCTemp === 0) {
-        clearGradient('#analizeEscTemp');
-        return;
-    }
-    
-    const maxTemp = activeProfile.maxESCTemp;
-    let percentage = (temp / maxTemp) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#analizeEscTemp', percentage, color);
+/**
+ * Shows the metrics of a sample in every bound element; fields the sample lacks keep their last value
+ * @param {Object} sample - Canonical 'data' message
+ * @param {Object} session - Stand it came from; its buffer and stats feed the sparklines and figures
+ */
+export function renderMetrics(sample, session) {
+    shownSession = session;
+    bindings.forEach((elements, metric) => {
+        // Elements of a closed window or a removed panel go away on their own
+        elements.forEach((extras, element) => {
+            if (!element.isConnected) elements.delete(element);
+        });
+        const value = sample[metric];
+        if (value === undefined || !elements.size) return;
+        const indicator = METRIC_INDICATORS[metric];
+        const text = indicator.format(value);
+        const fill = indicator.fill ? indicator.fill(value, sample, activeProfile) : null;
+        elements.forEach((extras, element) => {
+            element.textContent = text;
+            applyFill(element, fill, indicator.colorScale);
+        });
+        renderStats(metric);
+    });
+
+    const now = Date.now();
+    if (now - lastSparklineDraw >= METRIC_SPARKLINE_REDRAW_MS) {
+        lastSparklineDraw = now;
+        renderSparklines(recentHistory(session, now), now);
+    }
+}
+
+function recentHistory(session, now) {
+    return session ? session.telemetry.toArray().filter(s => s.hostTime >= now - METRIC_SPARKLINE_SPAN_S * 1000) : [];
+}
+
+function showSession(session) {
+    shownSession = session;
+    const now = Date.now();
+    lastSparklineDraw = now;
+    renderSparklines(recentHistory(session, now), now);
+    bindings.forEach((elements, metric) => renderStats(metric));
+}
+
+function renderStats(metric) {
+    const summary = shownSession ? shownSession.metricStats.get(metric) : null;
+    const { format } = METRIC_INDICATORS[metric];
+    const text = summary ? `↓${format(summary.min)} ↑${format(summary.max)} ⌀${format(summary.avg)}` : '--';
+    const title = summary ? `Minimum, peak and average since ${summary.from} at ${new Date(summary.since).toLocaleTimeString()}` : '';
+    bindings.get(metric).forEach(({ stats }) => {
+        stats.textContent = text;
+        stats.title = title;
+    });
+}
+
+function renderSparklines(history, now) {
+    bindings.forEach((elements, metric) => {
+        if (!elements.size) return;
+        const points = history
+            .filter(s => typeof s[metric] === 'number')
+            .map(s => [(s.hostTime - now) / 1000 + METRIC_SPARKLINE_SPAN_S, s[metric]]);
+        elements.forEach(({ sparkline }) => drawSparkline(sparkline, points));
+    });
 }
 
-// ===== MOTOR TEMPERATURE INDICATORS =====
-
-export function updateMotorTempIndicator(temp) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxMotorTemp || activeProfile.maxMotorTemp === 0) {
-        clearGradient('#motorTempMetric');
-        return;
-    }
-    
-    const maxTemp = activeProfile.maxMotorTemp;
-    let percentage = (temp / maxTemp) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#motorTempMetric', percentage, color);
+/**
+ * Draws [seconds into the span, value] points, scaled to their own range
+ */
+function drawSparkline(canvas, points) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return;
+    const ratio = (canvas.ownerDocument.defaultView || {}).devicePixelRatio || 1;
+    const width = canvas.clientWidth * ratio;
+    const height = canvas.clientHeight * ratio;
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    ctx.clearRect(0, 0, width, height);
+    if (points.length < 2) return;
+
+    const values = points.map(([, value]) => value);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    ctx.strokeStyle = SPARKLINE_COLOR;
+    ctx.lineWidth = ratio;
+    ctx.beginPath();
+    points.forEach(([time, value], i) => {
+        const x = (time / METRIC_SPARKLINE_SPAN_S) * width;
+        const y = height - ratio - ((value - min) / range) * (height - 2 * ratio);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
 }
 
-export function updateMotorTempIndicatorAnalize(temp) {
-    const activeProfile = getCurrentActiveProfile();
-    if (!activeProfile || !activeProfile.maxMotorTemp || activeProfile.maxMotorTemp === 0) {
-        clearGradient('#analizeMotorTemp');
+/**
+ * Fills the metric card behind an element up to a percentage; null clears it
+ */
+function applyFill(element, percentage, colorScale) {
+    const card = element.parentElement;
+    if (!card) return;
+    if (percentage === null || !Number.isFinite(percentage)) {
+        card.style.background = '';
         return;
     }
-    
-    const maxTemp = activeProfile.maxMotorTemp;
-    let percentage = (temp / maxTemp) * 100;
-    percentage = Math.max(0, Math.min(100, percentage));
-    
-    const color = getGradientColor(percentage, true);
-    applyGradient('#analizeMotorTemp', percentage, color);
+    const clamped = Math.max(0, Math.min(100, percentage));
+    const [, color] = COLOR_SCALES[colorScale].find(([threshold]) => clamped > threshold);
+    card.style.background = `linear-gradient(to right, ${color} ${clamped}%, transparent ${clamped}%)`;
 }
@@ -0,0 +1,70 @@
+// Running minimum, peak and average of every telemetry field of a stand, since the motor was last
+// armed or since the field was reset by hand (metric cards, see metricIndicators.js)
+
+// Sample fields that are not measurements
+const NON_METRIC_FIELDS = new Set(['type', 'seq', 'deviceTime', 'hostTime', 'status']);
+
+/**
+ * @typedef {Object} MetricSummary
+ * @property {number} min
+ * @property {number} max
+ * @property {number} avg - Mean of the frames, not time-weighted
+ * @property {number} count - Frames included
+ * @property {number} since - When the figures started, epoch ms
+ * @property {string} from - 'arming', 'reset', or 'connect' before the motor was first armed
+ */
+
+export function createMetricStats() {
+    let armed = false;
+    let armedAt = null;
+    const fields = new Map(); // field -> { min, max, sum, count, since, from }
+
+    /**
+     * Arming starts every field over
+     * @param {boolean} isArmed
+     * @param {number} hostTime
+     */
+    function setArmed(isArmed, hostTime) {
+        if (isArmed === armed) return;
+        armed = isArmed;
+        if (isArmed) {
+            armedAt = hostTime;
+            fields.clear();
+        }
+    }
+
+    function record(sample) {
+        Object.entries(sample).forEach(([field, value]) => {
+            if (NON_METRIC_FIELDS.has(field) || typeof value !== 'number' || !isFinite(value)) return;
+            let stats = fields.get(field);
+            if (!stats) {
+                const from = armedAt !== null ? 'arming' : 'connect';
+                stats = { min: value, max: value, sum: 0, count: 0, since: armedAt ?? sample.hostTime, from };
+                fields.set(field, stats);
+            }
+            stats.min = Math.min(stats.min, value);
+            stats.max = Math.max(stats.max, value);
+            stats.sum += value;
+            stats.count++;
+        });
+    }
+
+    /**
+     * Starts one field over from now
+     */
+    function reset(field, hostTime = Date.now()) {
+        fields.set(field, { min: Infinity, max: -Infinity, sum: 0, count: 0, since: hostTime, from: 'reset' });
+    }
+
+    /**
+     * @returns {MetricSummary|null} null before the field was received (again)
+     */
+    function get(field) {
+        const stats = fields.get(field);
+        if (!stats || !stats.count) return null;
+        const { min, max, sum, count, since, from } = stats;
+        return { min, max, avg: sum / count, count, since, from };
+    }
+
+    return { setArmed, record, reset, get };
+}
@@ -0,0 +1,248 @@
+// App-side safety supervisor: a second line of defence behind the firmware limits. Every telemetry
+// frame of a stand whose profile is known is checked against the profile's maxCurrent, maxRPM,
+// maxESCTemp, maxMotorTemp and maxThrust. While the motor is armed a limit that stays exceeded escalates:
+//
+//   warn       above warnPercent of the limit for warnHoldMs
+//   ramp down  above the limit for limitHoldMs: the throttle is brought down to the profile's arm
+//              throttle and held there (higher setpoints are refused) until the motor is disarmed
+//   disarm     still above the limit disarmAfterMs after the ramp down started, or above
+//              disarmPercent of the limit for limitHoldMs at any point
+//
+// It works on commands, not on a tab, so the Control and Analize tabs are supervised alike.
+import { state } from '../state.js';
+import { sendCommand } from '../utils/bluetooth.js';
+import { appendLog } from '../utils/logUtils.js';
+import { vibratePattern } from '../utils/haptics.js';
+import { STATUS_BITS, isSessionArmed } from './statusManager.js';
+import { subscribe, publish, EVENTS } from './eventBus.js';
+import { SAFETY_RAMP_DOWN_MS, SAFETY_RAMP_STEPS } from '../config/constants.js';
+
+const SAFETY_SETTINGS_STORAGE_KEY = 'safetySupervisorSettings';
+const DEFAULT_ARM_THROTTLE = 48;
+
+export const SAFETY_STAGE = {
+    OK: 'ok',
+    WARN: 'warn',
+    RAMP_DOWN: 'ramp-down',
+    DISARM: 'disarm'
+};
+
+// Supervised telemetry fields and the profile limit of each, read from the profile as profilesTab.js normalizes it
+const SUPERVISED_LIMITS = [
+    { id: 'current', label: 'Current', unit: 'A', limit: profile => profile.maxCurrent },
+    { id: 'rpm', label: 'RPM', unit: '', limit: profile => profile.maxRPM },
+    { id: 'escTemp', label: 'ESC temperature', unit: '°C', limit: profile => profile.maxESCTemp },
+    { id: 'motorTemp', label: 'Motor temperature', unit: '°C', limit: profile => profile.maxMotorTemp },
+    { id: 'thrust', label: 'Thrust', unit: 'g', limit: profile => profile.maxThrust * 1000 } // kg in the profile
+];
+
+const profiles = new Map(); // device id -> profile last set active on that stand
+const disarmRetries = new Set(); // device ids whose disarm failed; sent again on the next armed frame
+let settings = loadSettings();
+
+/**
+ * Subscribes to telemetry and status; call once at startup
+ */
+export function initSafetySupervisor() {
+    // Profiles are published for the active stand; the others keep the one they had
+    subscribe(EVENTS.ACTIVE_PROFILE_CHANGED, ({ profile }) => {
+        if (!state.activeSessionId) return;
+        if (profile) profiles.set(state.activeSessionId, profile);
+        else profiles.delete(state.activeSessionId);
+    });
+    subscribe(EVENTS.DEVICE_DISCONNECTED, ({ deviceId }) => {
+        profiles.delete(deviceId);
+        disarmRetries.delete(deviceId);
+    });
+    subscribe(EVENTS.TELEMETRY, ({ sample, session }) => superviseSample(session, sample));
+    // Disarming, by the supervisor or anyone else, releases the throttle hold
+    subscribe(EVENTS.STATUS_CHANGED, ({ status, session }) => {
+        if (!(status & STATUS_BITS.MOTOR_ARMED)) releaseIfDisarmed(session);
+    });
+}
+
+function releaseIfDisarmed(session) {
+    if (isSessionArmed(session) || session.safety.stage === SAFETY_STAGE.OK) return;
+    const held = session.safety.throttleCeiling !== null;
+    resetSupervision(session);
+    setStage(session, SAFETY_STAGE.OK, null);
+    if (held) appendLog(`Safety supervisor: ${session.name} disarmed, throttle released.`);
+}
+
+/**
+ * Whether the supervisor checks a stand: enabled, and the stand's profile is known
+ */
+export function isSupervising(session) {
+    return settings.enabled && profiles.has(session.id);
+}
+
+function superviseSample(session, sample) {
+    const profile = profiles.get(session.id);
+    if (!settings.enabled || !profile) return;
+    const { safety } = session;
+    const now = sample.hostTime;
+    const armed = isSessionArmed(session);
+
+    let warning = null;
+    let exceeded = null;
+    let farExceeded = null;
+    SUPERVISED_LIMITS.forEach((def) => {
+        const limit = Number(def.limit(profile));
+        const value = sample[def.id];
+        if (!(limit > 0) || !Number.isFinite(value)) return;
+        const percent = (value / limit) * 100;
+        const reason = `${def.label} ${formatValue(value, def.unit)}, limit ${formatValue(limit, def.unit)}`;
+        if (held(safety, `${def.id}:warn`, percent >= settings.warnPercent, now, settings.warnHoldMs)) warning = warning || reason;
+        if (held(safety, `${def.id}:limit`, percent > 100, now, settings.limitHoldMs)) exceeded = exceeded || reason;
+        if (held(safety, `${def.id}:disarm`, percent >= settings.disarmPercent, now, settings.limitHoldMs)) farExceeded = farExceeded || reason;
+    });
+
+    if (safety.stage === SAFETY_STAGE.DISARM) {
+        // Waiting for the stand to report the disarm; one that failed is sent again while the motor is armed
+        if (armed && disarmRetries.has(session.id)) sendDisarm(session);
+        return;
+    }
+    if (armed && farExceeded) {
+        disarm(session, farExceeded);
+    } else if (armed && exceeded && safety.stage !== SAFETY_STAGE.RAMP_DOWN) {
+        rampDown(session, exceeded, profile, now);
+    } else if (armed && exceeded && now - safety.rampDownAt >= settings.disarmAfterMs) {
+        disarm(session, `${exceeded} after ramping down`);
+    } else if (safety.stage === SAFETY_STAGE.RAMP_DOWN) {
+        // Latched: the throttle stays held until the motor is disarmed
+    } else if (warning && safety.stage !== SAFETY_STAGE.WARN) {
+        appendLog(`Safety supervisor: ${session.name} close to its limit: ${warning}.`, 'warning');
+        vibratePattern([200, 100, 200]);
+        setStage(session, SAFETY_STAGE.WARN, warning);
+    } else if (!warning && safety.stage === SAFETY_STAGE.WARN) {
+        appendLog(`Safety supervisor: ${session.name} back within limits.`);
+        setStage(session, SAFETY_STAGE.OK, null);
+    }
+}
+
+/**
+ * Whether a condition has been present for at least holdMs; tracks when it started
+ */
+function held(safety, key, active, now, holdMs) {
+    if (!active) {
+        delete safety.exceededSince[key];
+        return false;
+    }
+    if (safety.exceededSince[key] === undefined) safety.exceededSince[key] = now;
+    return now - safety.exceededSince[key] >= holdMs;
+}
+
+function formatValue(value, unit) {
+    const rounded = Math.abs(value) >= 100 ? Math.round(value) : Number(value.toFixed(1));
+    return unit ? `${rounded} ${unit}` : String(rounded);
+}
+
+function rampDown(session, reason, profile, now) {
+    const { safety } = session;
+    const target = Number(profile.armThrottle) || DEFAULT_ARM_THROTTLE;
+    const from = safety.lastThrottle !== null && safety.lastThrottle > target ? safety.lastThrottle : target;
+    safety.throttleCeiling = from;
+    safety.rampDownAt = now;
+    appendLog(`Safety supervisor: ${session.name} over its limit (${reason}); ramping down to arm throttle.`, 'error');
+    vibratePattern([400, 100, 400]);
+    setStage(session, SAFETY_STAGE.RAMP_DOWN, reason);
+
+    // On a fixed schedule rather than paced by ACKs, which retries on a poor link would stretch
+    const stepMs = SAFETY_RAMP_DOWN_MS / SAFETY_RAMP_STEPS;
+    for (let step = 1; step <= SAFETY_RAMP_STEPS; step++) {
+        const value = Math.round(from + ((target - from) * step) / SAFETY_RAMP_STEPS);
+        setTimeout(() => sendRampStep(session, value, target, reason, now), (step - 1) * stepMs);
+    }
+}
+
+function sendRampStep(session, value, target, reason, rampDownAt) {
+    const { safety } = session;
+    // Disarmed meanwhile, or a later ramp down has taken over
+    if (safety.stage !== SAFETY_STAGE.RAMP_DOWN || safety.rampDownAt !== rampDownAt) return;
+    // Lower the hold with each step, so nothing else can push the throttle back up meanwhile
+    safety.throttleCeiling = Math.max(value, target);
+    sendCommand('set_throttle', { value }, { deviceId: session.id, ack: false }).catch((err) => {
+        if (safety.stage !== SAFETY_STAGE.RAMP_DOWN) return; // Disarmed while the setpoint was queued
+        appendLog(`Safety supervisor: ramp down of ${session.name} failed: ${err.message}`, 'error');
+        disarm(session, `${reason}; ramp down failed`);
+    });
+}
+
+function disarm(session, reason) {
+    const { safety } = session;
+    safety.throttleCeiling = Number(safety.throttleCeiling) || DEFAULT_ARM_THROTTLE;
+    appendLog(`Safety supervisor: disarming ${session.name} (${reason}).`, 'error');
+    vibratePattern([400, 100, 400, 100, 400]);
+    setStage(session, SAFETY_STAGE.DISARM, reason);
+    sendDisarm(session);
+}
+
+async function sendDisarm(session) {
+    disarmRetries.delete(session.id);
+    try {
+        await sendCommand('disarm', {}, { deviceId: session.id });
+        // No status change follows if the stand had already disarmed itself
+        releaseIfDisarmed(session);
+    } catch (err) {
+        appendLog(`Safety supervisor: disarm of ${session.name} failed: ${err.message}; retrying while the motor is armed.`, 'error');
+        if (session.safety.stage === SAFETY_STAGE.DISARM) disarmRetries.add(session.id);
+    }
+}
+
+function resetSupervision(session) {
+    disarmRetries.delete(session.id);
+    Object.assign(session.safety, { throttleCeiling: null, exceededSince: {}, rampDownAt: null });
+}
+
+function setStage(session, stage, reason) {
+    session.safety.stage = stage;
+    session.safety.reason = reason;
+    publish(EVENTS.SAFETY_STAGE_CHANGED, { session, stage, reason, isActive: session.id === state.activeSessionId });
+}
+
+/**
+ * @typedef {Object} SafetySettings
+ * @property {boolean} enabled
+ * @property {number} warnPercent - Share of a limit that warns, %
+ * @property {number} warnHoldMs - Time above warnPercent before warning
+ * @property {number} limitHoldMs - Time above a limit before ramping down (and above disarmPercent before disarming)
+ * @property {number} disarmPercent - Share of a limit that disarms without ramping down first, %
+ * @property {number} disarmAfterMs - Time still above the limit after the ramp down started before disarming
+ */
+
+/**
+ * @returns {SafetySettings}
+ */
+export function getSafetySettings() {
+    return { ...settings };
+}
+
+/**
+ * Updates and persists supervisor settings; values that are not numbers keep their previous setting
+ * @param {Partial<SafetySettings>} changes
+ * @returns {SafetySettings} Settings in effect
+ */
+export function setSafetySettings(changes) {
+    const next = { ...settings };
+    Object.entries(changes).forEach(([key, value]) => {
+        if (key === 'enabled') next.enabled = !!value;
+        else if (key in next && Number.isFinite(Number(value)) && Number(value) >= 0) next[key] = Number(value);
+    });
+    if (next.enabled !== settings.enabled) {
+        appendLog(`Safety supervisor ${next.enabled ? 'enabled' : 'disabled'}.`, next.enabled ? 'info' : 'warning');
+    }
+    settings = next;
+    try {
+        localStorage.setItem(SAFETY_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {}
+    return getSafetySettings();
+}
+
+function loadSettings() {
+    const defaults = { enabled: true, warnPercent: 90, warnHoldMs: 500, limitHoldMs: 300, disarmPercent: 115, disarmAfterMs: 2000 };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(SAFETY_SETTINGS_STORAGE_KEY) || '{}') };
+    } catch (e) {
+        return defaults;
+    }
+}
@@ -33,6 +33,14 @@ export const STATUS_BITS = {
     WARN_FULL_USR_CFG_PRFLS: 1 << 21
 };
 
+/**
+ * Whether a stand's last reported status has the motor armed; false before any status arrived
+ */
+export function isSessionArmed(session) {
+    const status = session.lastRxStatus ? session.lastRxStatus.status : 0;
+    return (status & STATUS_BITS.MOTOR_ARMED) !== 0;
+}
+
 /**
  * Updates all status indicator dots based on status bitmask
  * @param {number} status - Status bitmask
@@ -67,16 +75,6 @@ export function updateStatusIndicators(status) {
     updateDot('status-warn-rpm', status & STATUS_BITS.WARN_OVER_RPM, true);
     updateDot('status-warn-stall', status & STATUS_BITS.WARN_MOTOR_STALL, true);
     updateDot('status-warn-cfg', status & STATUS_BITS.WARN_FULL_USR_CFG_PRFLS, true);
-    
-    // Check motor status for auto-disarm
-    if (typeof window.checkMotorStatus === 'function') {
-        window.checkMotorStatus(status);
-    }
-
-    // Notify Analize tab
-    if (typeof window.updateAnalizeStatusUI === 'function') {
-        window.updateAnalizeStatusUI();
-    }
 }
 
 /**
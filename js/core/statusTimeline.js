@@ -0,0 +1,84 @@
+// Status bit transition timeline: every change of every STATUS_BITS flag, with its timestamp
+// and how long the flag stayed in that state. Short drop-outs that the status dots repaint
+// over stay visible here.
+import { STATUS_BITS } from './statusManager.js';
+import { createRingBuffer } from '../utils/ringBuffer.js';
+
+const FLAGS = Object.entries(STATUS_BITS);
+
+/**
+ * @typedef {Object} StatusTransition
+ * @property {string} flag - STATUS_BITS key
+ * @property {boolean} set - State the flag changed to
+ * @property {number} hostTime - Arrival time of the status that showed the change, epoch ms
+ * @property {number|null} deviceTime - Device uptime of that status, ms (null if not reported)
+ * @property {number|null} duration - How long the flag stayed in this state, ms; null while it still is
+ */
+
+/**
+ * @param {number} capacity - Transitions kept; older ones are overwritten
+ */
+export function createStatusTimeline(capacity) {
+    const transitions = createRingBuffer(capacity);
+    let status;             // Last recorded bitmask
+    const since = new Map(); // flag -> { time, transition } of its current state
+
+    /**
+     * Records the flags that differ from the last recorded bitmask.
+     * The first bitmask only sets the baseline; there is nothing to compare it with.
+     * @param {number} next - Status bitmask
+     * @param {{ hostTime: number, deviceTime?: number|null }} time
+     */
+    function record(next, { hostTime, deviceTime = null }) {
+        const changed = status === undefined ? 0 : (next ^ status);
+        FLAGS.forEach(([flag, bit]) => {
+            if (status !== undefined && !(changed & bit)) return;
+            const previous = since.get(flag);
+            if (previous && previous.transition) {
+                previous.transition.duration = hostTime - previous.time;
+            }
+            let transition = null;
+            if (status !== undefined) {
+                transition = { flag, set: (next & bit) !== 0, hostTime, deviceTime, duration: null };
+                transitions.push(transition);
+            }
+            since.set(flag, { time: hostTime, transition });
+        });
+        status = next;
+    }
+
+    return {
+        record,
+        readSince: transitions.readSince,
+        toArray: transitions.toArray,
+        get cursor() {
+            return transitions.cursor;
+        },
+        get status() {
+            return status;
+        }
+    };
+}
+
+/**
+ * Copies transitions for keeping with a run; flags still in their state at endTime get the time so far
+ * @param {StatusTransition[]} transitions
+ * @param {number} endTime - epoch ms
+ * @returns {Array<StatusTransition & { ongoing: boolean }>}
+ */
+export function snapshotTransitions(transitions, endTime) {
+    return transitions.map(t => ({
+        ...t,
+        duration: t.duration ?? Math.max(0, endTime - t.hostTime),
+        ongoing: t.duration === null
+    }));
+}
+
+/**
+ * Warning flags are a problem when raised, health flags (*_OK, *_RUNNING) when they drop.
+ * Arming and spinning are neither.
+ */
+export function isProblemTransition(transition) {
+    if (transition.flag.startsWith('WARN_')) return transition.set;
+    return /_(OK|RUNNING)$/.test(transition.flag) && !transition.set;
+}
@@ -1,79 +1,74 @@
 // Core telemetry handling and message processing
-import { decoder } from '../config/constants.js';
-import { state } from '../state.js';
+import { state, getActiveSession } from '../state.js';
 import { appendLog } from '../utils/logUtils.js';
 import { setStatus } from '../utils/statusUtil.js';
-import { updateStatusIndicators } from './statusManager.js';
-import { 
-    updateBatteryIndicator, 
-    updateCurrentIndicator, 
-    updateRPMIndicator, 
-    updateThrustIndicator, 
-    updateESCTempIndicator, 
-    updateMotorTempIndicator,
-    updateBatteryIndicatorAnalize,
-    updateCurrentIndicatorAnalize,
-    updateRPMIndicatorAnalize,
-    updateThrustIndicatorAnalize,
-    updateESCTempIndicatorAnalize,
-    updateMotorTempIndicatorAnalize
-} from './metricIndicators.js';
-import { updateRSSIDisplay } from './rssiMonitor.js';
+import { updateStatusIndicators, STATUS_BITS } from './statusManager.js';
+import { publish, EVENTS } from './eventBus.js';
+import { setDeviceFirmware } from './deviceHistory.js';
+import { normalizeTelemetry } from './telemetrySchema.js';
+import { applyFirmwareCompatibility, toCanonicalStatus } from './firmwareCompatibility.js';
+import { renderMetrics } from './metricIndicators.js';
+import { isNack } from '../utils/bluetooth.js';
 
 /**
- * Handles incoming telemetry data from BLE device
- * @param {Event} event - Characteristic value changed event
+ * Parses a complete message from a device and routes it to the matching handler.
+ * Every message updates its own session; the UI only follows the active stand.
+ * @param {string|Object} data - One complete JSON message, or a message already decoded from a binary frame
+ * @param {Object} session - Device session the message came from (the active one by default)
  */
-export function handleTelemetry(event) {
-    const voltageMetric = document.getElementById('voltageMetric');
-    const currentMetric = document.getElementById('currentMetric');
-    const powerMetric = document.getElementById('powerMetric');
-    const rpmMetric = document.getElementById('rpmMetric');
-    const thrustMetric = document.getElementById('thrustMetric');
-    const escTempMetric = document.getElementById('escTempMetric');
-    const motorTempMetric = document.getElementById('motorTempMetric');
+export function handleTelemetry(data, session = getActiveSession()) {
+    if (!session) return;
+    const isActive = session.id === state.activeSessionId;
+
     const firmwareVersion = document.getElementById('firmwareVersion');
     const batteryLevel = document.getElementById('batteryLevel');
     const temperature = document.getElementById('temperature');
     
-    const value = event.target.value;
-    const data = decoder.decode(value);
-    appendLog(`RX: ${data}`);
+    session.linkQuality.recordMessage(Date.now());
+
+    // Binary frames are decoded telemetry at full rate; only text messages are logged
+    const isText = typeof data === 'string';
+    if (isText) appendLog(state.sessions.size > 1 ? `RX: [${session.name}] ${data}` : `RX: ${data}`);
 
     try {
-        const msg = JSON.parse(data);
+        const msg = isText ? JSON.parse(data) : data;
         
         // Route message to appropriate handler
         switch(msg.type) {
             case 'data':
-                handleDataMessage(msg, { voltageMetric, currentMetric, powerMetric, rpmMetric, thrustMetric, escTempMetric, motorTempMetric });
+                handleDataMessage(msg, session, isActive);
                 break;
             case 'status':
-                handleStatusMessage(msg);
+                handleStatusMessage(msg, session, isActive);
                 break;
             case 'profiles':
-                handleProfilesMessage(msg);
+                handleProfilesMessage(msg, session, isActive);
                 break;
             case 'profile':
-                handleProfileMessage(msg);
+                handleProfileMessage(msg, session, isActive);
                 break;
             case 'cur_profile':
-                handleCurrentProfileMessage(msg);
+                handleCurrentProfileMessage(msg, session, isActive);
                 break;
             case 'version':
-                handleVersionMessage(msg, firmwareVersion);
+                handleVersionMessage(msg, session, isActive);
+                break;
+            case 'scale':
+                publish(EVENTS.LOAD_CELL_SCALE, { scale: Number(msg.value), session, isActive });
                 break;
             case 'ACK':
             case 'ack':
-                handleAckMessage(msg);
+            case 'NACK':
+            case 'nack':
+                handleAckMessage(msg, session);
                 break;
             case 'DEVICE_INFO':
-                handleDeviceInfoMessage(msg, { firmwareVersion, batteryLevel, temperature });
+                handleDeviceInfoMessage(msg, session, isActive ? { firmwareVersion, batteryLevel, temperature } : {});
                 break;
             default:
-                // Handle legacy format with payload
+                // Legacy format: telemetry wrapped in a payload, same schema as 'data'
                 if (msg.payload) {
-                    handleLegacyDataMessage(msg.payload, { voltageMetric, currentMetric, rpmMetric, escTempMetric, motorTempMetric });
+                    handleDataMessage(msg.payload, session, isActive);
                 }
         }
     } catch (err) {
@@ -81,110 +76,105 @@ export function handleTelemetry(event) {
     }
 }
 
-/**
- * Handles 'data' type messages (telemetry data)
- */
-function handleDataMessage(msg, elements) {
-    // Store in global state
-    state.lastRxData = msg;
-    
-    // Always update telemetry displays (both Control and Analyze tabs)
-    updateTelemetryUI(msg, elements);
-    updateAnalizeTabTelemetry(msg);
-    
-    // Update status indicators if present
-    if (msg.status !== undefined) {
-        state.lastRxStatus = msg;
-        updateStatusIndicators(msg.status);
-    }
-}
+const MALFORMED_LOG_INTERVAL_MS = 2000;
+const lastMalformedLog = new WeakMap();
 
 /**
- * Updates telemetry UI elements for Control tab
+ * Handles 'data' messages and legacy payloads: validated and normalized first, then stored and shown
  */
-function updateTelemetryUI(msg, { voltageMetric, currentMetric, powerMetric, rpmMetric, thrustMetric, escTempMetric, motorTempMetric }) {
-    if (msg.voltage !== undefined) {
-        voltageMetric.textContent = `${msg.voltage.toFixed(2)} V`;
-        updateBatteryIndicator(msg.voltage);
-    }
-    if (msg.current !== undefined) {
-        currentMetric.textContent = `${msg.current.toFixed(2)} A`;
-        updateCurrentIndicator(msg.current);
-    }
-    if (msg.power !== undefined) {
-        powerMetric.textContent = `${msg.power.toFixed(2)} W`;
+function handleDataMessage(raw, session, isActive) {
+    const { sample, issues } = normalizeTelemetry(raw);
+    if (issues.length) reportMalformedFrame(session, issues, !sample);
+    if (!sample) return;
+
+    // Every frame goes to the device's buffer; deviceTime is null for firmware that does not send it
+    sample.deviceTime = sample.deviceTime ?? null;
+    if (sample.status !== undefined) {
+        sample.status = toCanonicalStatus(sample.status, session.compatibility);
     }
-    if (msg.rpm !== undefined) {
-        rpmMetric.textContent = msg.rpm;
-        updateRPMIndicator(msg.rpm);
+    sample.hostTime = Date.now();
+    session.linkQuality.recordFrame(sample.seq, sample.hostTime);
+    if (sample.status !== undefined) {
+        trackArming(session, sample.status, sample.hostTime);
     }
-    if (msg.thrust !== undefined) {
-        thrustMetric.textContent = `${msg.thrust.toFixed(2)} g`;
-        updateThrustIndicator(msg.thrust);
+    session.energy.record(sample);
+    session.metricStats.record(sample);
+    const previousStatus = getStatusBits(session);
+    session.telemetry.push(sample);
+    session.lastRxData = sample;
+    if (sample.status !== undefined) {
+        session.lastRxStatus = sample;
     }
-    if (msg.escTemp !== undefined) {
-        escTempMetric.textContent = `${msg.escTemp.toFixed(1)} °C`;
-        updateESCTempIndicator(msg.escTemp);
+
+    if (isActive) {
+        // Update telemetry displays of the active stand (both Control and Analyze tabs)
+        renderMetrics(sample, session);
+        if (sample.status !== undefined) {
+            updateStatusIndicators(sample.status);
+        }
     }
-    if (msg.motorTemp !== undefined) {
-        motorTempMetric.textContent = `${msg.motorTemp.toFixed(1)} °C`;
-        updateMotorTempIndicator(msg.motorTemp);
+
+    publish(EVENTS.TELEMETRY, { sample, session, isActive });
+    if (sample.status !== undefined) {
+        publishStatusChange(session, isActive, sample.status, previousStatus, sample);
     }
 }
 
 /**
- * Updates telemetry for Analize tab
+ * Counts a frame with invalid fields and logs it, at most every MALFORMED_LOG_INTERVAL_MS per stand
+ * @param {boolean} rejected - Nothing usable was left in the frame
  */
-function updateAnalizeTabTelemetry(msg) {
-    const aV = document.getElementById('analizeVoltage');
-    const aC = document.getElementById('analizeCurrent');
-    const aP = document.getElementById('analizePower');
-    const aRPM = document.getElementById('analizeRpm');
-    const aT = document.getElementById('analizeThrust');
-    const aET = document.getElementById('analizeEscTemp');
-    const aMT = document.getElementById('analizeMotorTemp');
-
-    if (aV && msg.voltage !== undefined) {
-        aV.textContent = `${msg.voltage.toFixed(2)} V`;
-        updateBatteryIndicatorAnalize(msg.voltage);
-    }
-    if (aC && msg.current !== undefined) {
-        aC.textContent = `${msg.current.toFixed(2)} A`;
-        updateCurrentIndicatorAnalize(msg.current);
-    }
-    if (aP && msg.power !== undefined) {
-        aP.textContent = `${msg.power.toFixed(2)} W`;
-    }
-    if (aRPM && msg.rpm !== undefined) {
-        aRPM.textContent = `${msg.rpm}`;
-        updateRPMIndicatorAnalize(msg.rpm);
-    }
-    if (aT && msg.thrust !== undefined) {
-        aT.textContent = `${msg.thrust.toFixed(2)} g`;
-        updateThrustIndicatorAnalize(msg.thrust);
-    }
-    if (aET && msg.escTemp !== undefined) {
-        aET.textContent = `${msg.escTemp.toFixed(1)} °C`;
-        updateESCTempIndicatorAnalize(msg.escTemp);
-    }
-    if (aMT && msg.motorTemp !== undefined) {
-        aMT.textContent = `${msg.motorTemp.toFixed(1)} °C`;
-        updateMotorTempIndicatorAnalize(msg.motorTemp);
-    }
+function reportMalformedFrame(session, issues, rejected) {
+    session.malformedFrames++;
+    const now = Date.now();
+    if (now - (lastMalformedLog.get(session) || 0) < MALFORMED_LOG_INTERVAL_MS) return;
+    lastMalformedLog.set(session, now);
+    appendLog(`Warning: ${rejected ? 'rejected' : 'malformed'} telemetry frame from ${session.name} (${session.malformedFrames} so far): ${issues.join('; ')}`, 'warning');
 }
 
 /**
  * Handles 'status' type messages
  */
-function handleStatusMessage(msg) {
+function handleStatusMessage(msg, session, isActive) {
     console.log('Status message received:', msg);
-    let statusBits = constructStatusBits(msg);
+    // Named flags are already in the app's layout; a numeric bitmask is in the firmware's
+    let statusBits = typeof msg.status === 'number' ? toCanonicalStatus(msg.status, session.compatibility) : constructStatusBits(msg);
+    const previousStatus = getStatusBits(session);
     
-    state.lastRxStatus = { ...msg, status: statusBits };
-    updateStatusIndicators(statusBits);
-    
-    // Forward warnings to Analize status
-    forwardWarningsToAnalize(statusBits);
+    session.lastRxStatus = { ...msg, status: statusBits };
+    trackArming(session, statusBits, Date.now());
+    if (isActive) {
+        updateStatusIndicators(statusBits);
+    }
+    publishStatusChange(session, isActive, statusBits, previousStatus, { hostTime: Date.now(), deviceTime: null });
+}
+
+/**
+ * Arming starts a new energy count of the stand
+ */
+function trackArming(session, status, hostTime) {
+    const armed = (status & STATUS_BITS.MOTOR_ARMED) !== 0;
+    session.energy.setArmed(armed, hostTime);
+    session.metricStats.setArmed(armed, hostTime);
+}
+
+function getStatusBits(session) {
+    return session.lastRxStatus ? session.lastRxStatus.status : undefined;
+}
+
+/**
+ * Records a changed bitmask in the stand's status timeline and publishes STATUS_CHANGED, then the warnings it raises
+ * @param {{ hostTime: number, deviceTime: number|null }} time - When the bitmask was reported
+ */
+function publishStatusChange(session, isActive, status, previous, { hostTime, deviceTime }) {
+    if (status === previous) return;
+    session.statusTimeline.record(status, { hostTime, deviceTime });
+    publish(EVENTS.STATUS_CHANGED, { status, previous, session, isActive, hostTime });
+
+    const warnings = WARNING_LABELS.filter(([bit]) => status & bit).map(([, label]) => label);
+    if (warnings.length) {
+        publish(EVENTS.WARNINGS, { warnings, session, isActive });
+    }
 }
 
 /**
@@ -229,97 +219,80 @@ function constructStatusBits(msg) {
     return statusBits;
 }
 
-/**
- * Forwards warnings to Analize tab
- */
-function forwardWarningsToAnalize(statusBits) {
-    if (typeof window.updateAnalizeStatusUI !== 'function') return;
-    
-    const STATUS_BITS = {
-        WARN_BATTERY_LOW: 1 << 15,
-        WARN_ESC_OVERHEAT: 1 << 16,
-        WARN_MOTOR_OVERHEAT: 1 << 17,
-        WARN_OVER_CURRENT: 1 << 18,
-        WARN_OVER_RPM: 1 << 19,
-        WARN_MOTOR_STALL: 1 << 20,
-        WARN_FULL_USR_CFG_PRFLS: 1 << 21
-    };
-    
-    const warnings = [];
-    if (statusBits & STATUS_BITS.WARN_BATTERY_LOW) warnings.push('Battery low');
-    if (statusBits & STATUS_BITS.WARN_ESC_OVERHEAT) warnings.push('ESC overheat');
-    if (statusBits & STATUS_BITS.WARN_MOTOR_OVERHEAT) warnings.push('Motor overheat');
-    if (statusBits & STATUS_BITS.WARN_OVER_CURRENT) warnings.push('Over current');
-    if (statusBits & STATUS_BITS.WARN_OVER_RPM) warnings.push('Over RPM');
-    if (statusBits & STATUS_BITS.WARN_MOTOR_STALL) warnings.push('Motor stall');
-    if (statusBits & STATUS_BITS.WARN_FULL_USR_CFG_PRFLS) warnings.push('Profiles full');
-    
-    if (warnings.length) {
-        window.updateAnalizeStatusUI({ warn: warnings.join(', ') });
-    }
-}
+const WARNING_LABELS = [
+    [STATUS_BITS.WARN_BATTERY_LOW, 'Battery low'],
+    [STATUS_BITS.WARN_ESC_OVERHEAT, 'ESC overheat'],
+    [STATUS_BITS.WARN_MOTOR_OVERHEAT, 'Motor overheat'],
+    [STATUS_BITS.WARN_OVER_CURRENT, 'Over current'],
+    [STATUS_BITS.WARN_OVER_RPM, 'Over RPM'],
+    [STATUS_BITS.WARN_MOTOR_STALL, 'Motor stall'],
+    [STATUS_BITS.WARN_FULL_USR_CFG_PRFLS, 'Profiles full']
+];
 
 /**
  * Handles 'profiles' type messages
  */
-function handleProfilesMessage(msg) {
-    state.lastRxProfiles = msg;
+function handleProfilesMessage(msg, session, isActive) {
+    session.lastRxProfiles = msg;
     
     if (msg.profiles && Array.isArray(msg.profiles)) {
-        state.profiles = msg.profiles;
-        
-        if (typeof window.updateProfileList === 'function') {
-            window.updateProfileList();
-        }
+        session.profiles = msg.profiles;
+        publish(EVENTS.PROFILE_LIST, { profiles: msg.profiles, session, isActive });
     }
 }
 
 /**
  * Handles individual 'profile' messages
  */
-function handleProfileMessage(msg) {
-    if (typeof window.handleProfileMessage === 'function') {
-        window.handleProfileMessage(msg);
-    }
+function handleProfileMessage(msg, session, isActive) {
+    publish(EVENTS.PROFILE_RECEIVED, { profile: msg, session, isActive });
 }
 
 /**
  * Handles 'cur_profile' messages
  */
-function handleCurrentProfileMessage(msg) {
+function handleCurrentProfileMessage(msg, session, isActive) {
     console.log('Received cur_profile message:', msg);
-    if (msg.name !== undefined && typeof window.handleCurrentProfileMessage === 'function') {
-        window.handleCurrentProfileMessage(msg.name);
-        console.log('Profile set to:', msg.name);
+    if (msg.name !== undefined) {
+        publish(EVENTS.CURRENT_PROFILE, { name: msg.name, session, isActive });
     }
 }
 
 /**
  * Handles 'version' type messages
  */
-function handleVersionMessage(msg, firmwareElement) {
-    if (msg.firmware !== undefined && firmwareElement) {
-        firmwareElement.textContent = `${msg.firmware}v`;
-        appendLog(`Firmware version: ${msg.firmware}`);
-    }
+function handleVersionMessage(msg, session, isActive) {
+    if (msg.firmware === undefined) return;
+    session.firmware = String(msg.firmware);
+    appendLog(`Firmware version (${session.name}): ${msg.firmware}`);
+    setDeviceFirmware(session.id, session.firmware);
+    applyFirmwareCompatibility(session, isActive);
 }
 
 /**
- * Handles acknowledgment messages
+ * Handles acknowledgment messages (ACK and NACK)
  */
-function handleAckMessage(msg) {
-    appendLog(`ACK received for command: ${msg.command || 'unknown'}`);
+function handleAckMessage(msg, session) {
+    const command = session.commands ? session.commands.handleAck(msg) : null;
+    const commandName = msg.command || (command && command.cmd) || 'unknown';
+    const seqText = command ? ` (seq ${command.seq})` : '';
+    if (isNack(msg)) {
+        appendLog(`NACK received for command: ${commandName}${seqText} - ${msg.error || msg.reason || 'no reason given'}`, 'error');
+        return;
+    }
+
+    appendLog(`ACK received for command: ${commandName}${seqText}`);
     
-    if (msg.command === 'set_dev_id') {
+    if (commandName === 'set_dev_id') {
         setStatus('Device ID updated successfully. Please disconnect and reconnect to see the new device name.', true);
         appendLog('Device ID changed - reconnection recommended to update display.');
     }
 }
 
 /**
- * Handles device info messages
+ * Handles device info messages; the RSSI is kept for every stand, the fields are shown for the active one
  */
-function handleDeviceInfoMessage(msg, { firmwareVersion, batteryLevel, temperature }) {
+function handleDeviceInfoMessage(msg, session, { firmwareVersion, batteryLevel, temperature }) {
     if (msg.payload) {
         if (firmwareVersion) {
             firmwareVersion.textContent = msg.payload.firmware ? `v${msg.payload.firmware}` : 'v0.0.1';
@@ -331,39 +304,7 @@ function handleDeviceInfoMessage(msg, { firmwareVersion, batteryLevel, temperatu
             temperature.textContent = msg.payload.temperature || '--';
         }
         if (msg.payload.rssi !== undefined) {
-            updateRSSIDisplay(msg.payload.rssi);
+            session.linkQuality.recordRssi(msg.payload.rssi, Date.now());
         }
     }
 }
-
-/**
- * Handles legacy data messages with payload structure
- */
-function handleLegacyDataMessage(payload, { voltageMetric, currentMetric, rpmMetric, escTempMetric, motorTempMetric }) {
-    if (payload.voltage !== undefined && voltageMetric) {
-        voltageMetric.textContent = `${payload.voltage.toFixed(2)} V`;
-    }
-    if (payload.current !== undefined && currentMetric) {
-        currentMetric.textContent = `${payload.current.toFixed(2)} A`;
-    }
-    if (payload.rpm !== undefined && rpmMetric) {
-        rpmMetric.textContent = payload.rpm;
-    }
-    if (payload.escTemp !== undefined && escTempMetric) {
-        escTempMetric.textContent = `${payload.escTemp.toFixed(1)} °C`;
-    }
-    if (payload.motorTemp !== undefined && motorTempMetric) {
-        motorTempMetric.textContent = `${payload.motorTemp.toFixed(1)} °C`;
-    }
-}
-
-/**
- * Checks if there's an active profile set
- */
-function checkActiveProfile() {
-    if (typeof window.getCurrentActiveProfileName === 'function') {
-        const profileName = window.getCurrentActiveProfileName();
-        return profileName !== null && profileName !== '';
-    }
-    return false;
-}
@@ -0,0 +1,100 @@
+// Telemetry schema: validates 'data' messages and legacy { payload } frames and converts them to
+// canonical types and units before anything stores or renders them.
+//
+// Accepted values: numbers, numeric strings, and strings carrying the canonical unit ("16.2 V") or
+// one of the field's other units ("16200 mV"), which are converted. null/undefined mean "not
+// reported". Anything else, or a value outside the field's range, is reported as an issue and left
+// out of the sample.
+
+/**
+ * Canonical telemetry fields. Ranges are sanity limits, not alarm thresholds. units maps the other
+ * units a field is accepted in to the factor that converts them to the canonical one.
+ */
+export const TELEMETRY_SCHEMA = {
+    seq:        { integer: true, min: 0, max: 0xFFFF },
+    deviceTime: { unit: 'ms', units: { s: 1000 }, min: 0, max: 0xFFFFFFFF },
+    status:     { integer: true, min: 0, max: 0xFFFFFFFF },
+    voltage:    { unit: 'V', units: { mV: 0.001 }, min: 0, max: 100 },
+    current:    { unit: 'A', units: { mA: 0.001 }, min: -100, max: 500 },
+    power:      { unit: 'W', units: { mW: 0.001, kW: 1000 }, min: -10000, max: 50000 },
+    rpm:        { integer: true, min: 0, max: 1000000 },
+    thrust:     { unit: 'g', units: { kg: 1000 }, min: -100000, max: 100000 },
+    escTemp:    { unit: '°C', min: -55, max: 200 },
+    motorTemp:  { unit: '°C', min: -55, max: 250 }
+};
+
+// Number, then a unit that holds no digits: "16.2 V", "-3mA", "41 °C"
+const UNIT_SUFFIX = /^(.*?)\s*([^\d\s.+-][^\d\s]*)$/;
+
+// A frame without any of these carries no telemetry and is rejected
+const MEASUREMENT_FIELDS = ['status', 'voltage', 'current', 'power', 'rpm', 'thrust', 'escTemp', 'motorTemp'];
+
+/**
+ * @typedef {Object} NormalizedTelemetry
+ * @property {Object|null} sample - Canonical 'data' message, null if nothing usable was in the frame
+ * @property {string[]} issues - One entry per field that was dropped
+ */
+
+/**
+ * Validates a raw telemetry frame and converts it to the canonical 'data' message
+ * @param {Object} raw - 'data' message or legacy payload
+ * @returns {NormalizedTelemetry}
+ */
+export function normalizeTelemetry(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return { sample: null, issues: ['frame is not an object'] };
+    }
+
+    const sample = { type: 'data' };
+    const issues = [];
+    Object.entries(TELEMETRY_SCHEMA).forEach(([field, spec]) => {
+        const value = raw[field];
+        if (value === undefined || value === null) return;
+        const { number, issue } = toCanonicalNumber(value, spec);
+        if (issue) {
+            issues.push(`${field}: ${issue} (${JSON.stringify(value)})`);
+        } else if (number < spec.min || number > spec.max) {
+            issues.push(`${field}: ${number} out of range`);
+        } else {
+            sample[field] = spec.integer ? Math.round(number) : number;
+        }
+    });
+
+    // Older firmware and binary frames leave power out; flagged, so it is not mistaken for a reported value
+    if (sample.power === undefined && sample.voltage !== undefined && sample.current !== undefined) {
+        sample.power = sample.voltage * sample.current;
+        sample.powerDerived = true;
+    }
+
+    if (!MEASUREMENT_FIELDS.some(field => sample[field] !== undefined)) {
+        return { sample: null, issues: issues.length ? issues : ['no telemetry fields'] };
+    }
+    return { sample, issues };
+}
+
+/**
+ * @returns {{ number?: number, issue?: string }} The value in the field's canonical unit, or why it was rejected
+ */
+function toCanonicalNumber(value, spec) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? { number: value } : { issue: 'not a number' };
+    }
+    if (typeof value !== 'string') return { issue: 'not a number' };
+
+    let text = value.trim();
+    let factor = 1;
+    const match = text.match(UNIT_SUFFIX);
+    if (match && match[1] !== '') {
+        const unit = match[2];
+        const units = spec.units || {};
+        if (unit !== spec.unit && !units[unit]) {
+            const expected = spec.unit ? `expected ${[spec.unit, ...Object.keys(units)].join(', ')}` : 'expected no unit';
+            return { issue: `unit "${unit}" not accepted, ${expected}` };
+        }
+        text = match[1];
+        factor = unit === spec.unit ? 1 : units[unit];
+    }
+    if (text === '') return { issue: 'not a number' };
+    const number = Number(text);
+    return Number.isFinite(number) ? { number: number * factor } : { issue: 'not a number' };
+}
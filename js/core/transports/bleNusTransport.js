@@ -0,0 +1,205 @@
+// Web Bluetooth transport over the Nordic UART Service (NUS)
+import { NUS_SERVICE_UUID, NUS_RX_CHARACTERISTIC_UUID, NUS_TX_CHARACTERISTIC_UUID, APP_DISCOVERY_SERVICE_UUID, APP_INFO_CHARACTERISTIC_UUID, decoder } from '../../config/constants.js';
+import { appendLog } from '../../utils/logUtils.js';
+import { createMessageFramer, encodeFramedChunks } from '../../utils/framing.js';
+import { isBinaryTelemetryFrame, decodeBinaryTelemetry } from '../../utils/binaryTelemetry.js';
+import { createEmitter } from './transport.js';
+
+/**
+ * Creates a NUS transport. RX is written in framed chunks, TX notifications are reassembled.
+ * @returns {import('./transport.js').Transport}
+ */
+export function createBleNusTransport() {
+    const messageHandlers = createEmitter();
+    const disconnectHandlers = createEmitter();
+
+    let device = null;
+    let rxCharacteristic = null;
+    let txCharacteristic = null;
+
+    // Reassembles notifications that the firmware split to fit the MTU
+    const framer = createMessageFramer(
+        (message) => messageHandlers.emit(message),
+        (dropped) => appendLog(`Warning: dropped unterminated telemetry frame (${dropped.length} chars)`, 'warning')
+    );
+
+    function handleNotification(event) {
+        const value = event.target.value;
+        const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+
+        // Binary telemetry frames fit one notification and only arrive between text messages
+        if (framer.isEmpty() && isBinaryTelemetryFrame(bytes)) {
+            try {
+                decodeBinaryTelemetry(bytes).forEach(message => messageHandlers.emit(message));
+            } catch (err) {
+                appendLog(`Warning: dropped binary telemetry frame: ${err.message}`, 'warning');
+            }
+            return;
+        }
+        framer.push(value);
+    }
+
+    function handleGattDisconnected() {
+        releaseCharacteristics();
+        disconnectHandlers.emit();
+    }
+
+    function releaseCharacteristics() {
+        if (txCharacteristic) {
+            txCharacteristic.removeEventListener('characteristicvaluechanged', handleNotification);
+        }
+        rxCharacteristic = null;
+        txCharacteristic = null;
+        framer.reset();
+    }
+
+    /**
+     * Picks a device, connects GATT and subscribes to TX notifications.
+     * With knownDevice, a device the browser already granted is reused without the chooser
+     * (navigator.bluetooth.getDevices); otherwise the chooser opens, filtered to that name.
+     * @param {Object} options - { acceptAllDevices, knownDevice: { id, name }, onStatus(message, isConnected) }
+     */
+    async function connect({ acceptAllDevices = false, knownDevice = null, onStatus = () => {} } = {}) {
+        if (device) {
+            device.removeEventListener('gattserverdisconnected', handleGattDisconnected);
+        }
+
+        device = knownDevice ? await findPermittedDevice(knownDevice.id) : null;
+        if (device) {
+            appendLog(`Reusing permitted device: ${device.name || knownDevice.name}`);
+        } else {
+            device = await navigator.bluetooth.requestDevice(getRequestOptions(acceptAllDevices, knownDevice));
+        }
+
+        onStatus(`Connecting to ${device.name}...`);
+        appendLog(`Device selected: ${device.name || 'Unknown'}`);
+
+        device.addEventListener('gattserverdisconnected', handleGattDisconnected);
+
+        return openLink(onStatus);
+    }
+
+    function getRequestOptions(acceptAllDevices, knownDevice) {
+        if (knownDevice && knownDevice.name) {
+            return { filters: [{ name: knownDevice.name }], optionalServices: [NUS_SERVICE_UUID, APP_DISCOVERY_SERVICE_UUID] };
+        }
+        return acceptAllDevices
+            ? { acceptAllDevices: true, optionalServices: [NUS_SERVICE_UUID, APP_DISCOVERY_SERVICE_UUID] }
+            : { filters: [{ services: [NUS_SERVICE_UUID] }], optionalServices: [APP_DISCOVERY_SERVICE_UUID] };
+    }
+
+    /**
+     * Looks up a device this origin was already granted. getDevices() is not available in every
+     * browser (Chrome needs the permissions backend), so null means "use the chooser".
+     */
+    async function findPermittedDevice(id) {
+        if (typeof navigator.bluetooth.getDevices !== 'function') return null;
+        try {
+            const devices = await navigator.bluetooth.getDevices();
+            return devices.find(d => d.id === id) || null;
+        } catch (err) {
+            appendLog(`Could not list permitted devices: ${err.message}`, 'warning');
+            return null;
+        }
+    }
+
+    /**
+     * Reconnects GATT to the previously chosen device and re-subscribes to notifications
+     */
+    async function reconnect({ onStatus = () => {} } = {}) {
+        if (!device) {
+            throw new Error('No previously connected device to reconnect to.');
+        }
+        return openLink(onStatus);
+    }
+
+    async function openLink(onStatus) {
+        const server = await device.gatt.connect();
+        onStatus(`Connected to ${device.name}. Discovering services...`, true);
+        appendLog('GATT Server connected. Discovering services...');
+
+        const nusService = await server.getPrimaryService(NUS_SERVICE_UUID);
+        appendLog('NUS service found.');
+
+        rxCharacteristic = await nusService.getCharacteristic(NUS_RX_CHARACTERISTIC_UUID);
+        appendLog('RX characteristic ready (write to device).');
+
+        txCharacteristic = await nusService.getCharacteristic(NUS_TX_CHARACTERISTIC_UUID);
+        await txCharacteristic.startNotifications();
+        txCharacteristic.addEventListener('characteristicvaluechanged', handleNotification);
+        appendLog('TX characteristic notifications started (receive from device).');
+
+        let appInfo = null;
+        try {
+            const appService = await server.getPrimaryService(APP_DISCOVERY_SERVICE_UUID);
+            const infoChar = await appService.getCharacteristic(APP_INFO_CHARACTERISTIC_UUID);
+            const infoValue = await infoChar.readValue();
+            appInfo = decoder.decode(infoValue);
+            appendLog(`App Info: ${appInfo}`);
+        } catch (err) {
+            appendLog('App Discovery Service not available or failed to read.');
+        }
+
+        return { id: device.id, name: device.name || 'Unknown Device', appInfo };
+    }
+
+    async function disconnect() {
+        if (device && device.gatt && device.gatt.connected) {
+            // gattserverdisconnected notifies the disconnect handlers
+            device.gatt.disconnect();
+        } else {
+            releaseCharacteristics();
+            disconnectHandlers.emit();
+        }
+    }
+
+    function release() {
+        if (device) device.removeEventListener('gattserverdisconnected', handleGattDisconnected);
+        releaseCharacteristics();
+        messageHandlers.clear();
+        disconnectHandlers.clear();
+        device = null;
+    }
+
+    /**
+     * Writes a message to RX
+     * @param {string} message - Message text
+     * @param {Object} options - { withoutResponse } - skip the link-layer write response (used for throttle streams)
+     */
+    async function send(message, { withoutResponse = false } = {}) {
+        if (!rxCharacteristic) {
+            throw new Error('Not connected or command characteristic not available.');
+        }
+        const useWithoutResponse = withoutResponse
+            && rxCharacteristic.properties && rxCharacteristic.properties.writeWithoutResponse
+            && typeof rxCharacteristic.writeValueWithoutResponse === 'function';
+
+        // Long commands (e.g. create_profile) are split to fit the link MTU
+        for (const chunk of encodeFramedChunks(message)) {
+            if (useWithoutResponse) {
+                await rxCharacteristic.writeValueWithoutResponse(chunk);
+            } else {
+                await rxCharacteristic.writeValue(chunk);
+            }
+        }
+    }
+
+    function isConnected() {
+        return !!(device && device.gatt && device.gatt.connected);
+    }
+
+    return {
+        kind: 'ble',
+        connect,
+        reconnect,
+        disconnect,
+        release,
+        send,
+        onMessage: messageHandlers.add,
+        onDisconnect: disconnectHandlers.add,
+        isConnected,
+        get device() {
+            return device;
+        }
+    };
+}
@@ -0,0 +1,37 @@
+// Transport registry: maps a transport kind to its factory
+import { createBleNusTransport } from './bleNusTransport.js';
+import { createMockTransport } from './mockTransport.js';
+
+const transportFactories = {
+    ble: createBleNusTransport,
+    mock: createMockTransport
+};
+
+/**
+ * Returns the transport kind requested through the ?transport= URL parameter (default 'ble')
+ */
+export function getPreferredTransportKind() {
+    const requested = new URLSearchParams(window.location.search).get('transport');
+    return requested && transportFactories[requested] ? requested : 'ble';
+}
+
+/**
+ * Creates a transport of the given kind
+ * @param {string} kind - 'ble' or 'mock'
+ * @returns {import('./transport.js').Transport}
+ */
+export function createTransport(kind = getPreferredTransportKind()) {
+    const factory = transportFactories[kind];
+    if (!factory) {
+        throw new Error(`Unknown transport: ${kind}`);
+    }
+    return factory();
+}
+
+/**
+ * Whether the given transport kind can run in this browser
+ */
+export function isTransportSupported(kind = getPreferredTransportKind()) {
+    if (kind === 'ble') return !!navigator.bluetooth;
+    return !!transportFactories[kind];
+}
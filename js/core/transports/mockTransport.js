@@ -0,0 +1,415 @@
+// In-memory mock transport: simulates a thrust stand so the app can run without hardware.
+// Select it with ?transport=mock in the page URL.
+import { createEmitter } from './transport.js';
+import { encodeBinaryTelemetry, decodeBinaryTelemetry } from '../../utils/binaryTelemetry.js';
+import { parseFirmwareImage } from '../../utils/firmwareImage.js';
+import { crc32 } from '../../utils/crc32.js';
+
+const MOCK_TELEMETRY_INTERVAL_MS = 100;
+const MOCK_LATENCY_MS = 15;
+const MOCK_TARE_MS = 500;
+const MOCK_REBOOT_DELAY_MS = 200;
+
+// Status bits reported by the simulated firmware (see STATUS_BITS in statusManager.js)
+const INIT_OK_BITS = 0xFF;              // Init flags and task flags
+const MOTOR_ARMED = 1 << 8;
+const MOTOR_SPINNING = 1 << 9;
+const HX711_TARE_OK = 1 << 12;
+const RUNTIME_OK_BITS = (1 << 10) | (1 << 11) | HX711_TARE_OK | (1 << 13) | (1 << 14);
+
+// Commands handled by handleCommand(), advertised in App Info
+const MOCK_COMMANDS = [
+    'get_version', 'get_profile_list', 'get_cur_profile', 'load_profile', 'create_profile', 'save_profile',
+    'delete_profile', 'arm', 'force_arm', 'disarm', 'set_throttle', 'stop', 'STOP_TEST', 'set_dev_id',
+    'set_telem_format', 'tare', 'get_scale', 'set_scale', 'ota_begin', 'ota_chunk', 'ota_end', 'ota_apply',
+    'ota_abort', 'heartbeat'
+];
+
+function createDefaultProfiles() {
+    return [
+        { name: 'Default', mKV: 1950, propDiam: 5.1, propPitch: 4.3, propBlades: 3, bat: 4, mPoles: 14, mRev: false, armThrot: 48, mRpmLim: 35000, escTempLim: 90, mTempLim: 100, curLim: 45, thrustLim: 1.5 },
+        { name: 'Cinelifter', mKV: 1300, propDiam: 7, propPitch: 3.5, propBlades: 2, bat: 6, mPoles: 14, mRev: false, armThrot: 60, mRpmLim: 28000, escTempLim: 95, mTempLim: 110, curLim: 60, thrustLim: 3 }
+    ];
+}
+
+// Each new mock transport simulates another stand, so several can be connected side by side
+let mockStandCount = 0;
+
+/**
+ * Creates a mock transport backed by a simulated stand
+ * @param {Object} options - { name, id, firmware, sensors } - sensors as reported in App Info
+ * @returns {import('./transport.js').Transport}
+ */
+export function createMockTransport(options = {}) {
+    mockStandCount++;
+    const suffix = mockStandCount > 1 ? ` ${mockStandCount}` : '';
+    const {
+        name = `Mock Stand${suffix}`,
+        id = mockStandCount > 1 ? `mock-stand-${mockStandCount}` : 'mock-stand',
+        firmware = '1.2.0-mock',
+        sensors = ['hx711', 'ntc', 'kiss']
+    } = options;
+    const messageHandlers = createEmitter();
+    const disconnectHandlers = createEmitter();
+
+    let connected = false;
+    let telemetryTimer = null;
+    let heartbeatTimer = null; // Disarms the stand when heartbeats stop arriving, link or no link
+
+    const stand = {
+        firmware,
+        armed: false,
+        throttle: 48,
+        escTemp: 25,
+        motorTemp: 25,
+        profiles: createDefaultProfiles(),
+        currentProfile: 'Default',
+        telemetryFormat: 'json',
+        sampleSeq: 0,
+        bootTime: Date.now(),
+        // Load cell: the stored scale is a few percent off and the zero has drifted, so the
+        // calibration wizard has something to correct. Set referenceMass (g) from the console
+        // to simulate a hanging mass.
+        referenceMass: 0,
+        force: 0,
+        loadCell: { trueScale: 420, scale: 400, offsetCounts: 84000, tareCounts: 84000 + 420 * 3, taring: false },
+        // Firmware image being received over the air; kept across link drops so transfers can resume
+        ota: null
+    };
+
+    const appInfo = JSON.stringify({
+        proto: 1,
+        hw: 'mock',
+        sensors,
+        cmds: MOCK_COMMANDS,
+        rate: 1000 / MOCK_TELEMETRY_INTERVAL_MS,
+        fmt: ['json', 'bin1']
+    });
+
+    function emit(message) {
+        setTimeout(() => {
+            if (connected) messageHandlers.emit(JSON.stringify(message));
+        }, MOCK_LATENCY_MS);
+    }
+
+    // Binary frames go through the real encoder/decoder pair, as the BLE transport would deliver them
+    function emitTelemetry(sample) {
+        if (stand.telemetryFormat !== 'bin1') {
+            emit(sample);
+            return;
+        }
+        const frame = encodeBinaryTelemetry([sample]);
+        setTimeout(() => {
+            if (connected) decodeBinaryTelemetry(frame).forEach(message => messageHandlers.emit(message));
+        }, MOCK_LATENCY_MS);
+    }
+
+    function ack(command, fields = {}) {
+        emit({ type: 'ack', command: command.cmd, seq: command.seq, ...fields });
+    }
+
+    function nack(command, error) {
+        emit({ type: 'nack', command: command.cmd, seq: command.seq, error });
+    }
+
+    function statusBits() {
+        let bits = INIT_OK_BITS | RUNTIME_OK_BITS;
+        if (stand.loadCell.taring) bits &= ~HX711_TARE_OK;
+        if (stand.armed) bits |= MOTOR_ARMED;
+        if (stand.armed && stand.throttle > getProfile().armThrot) bits |= MOTOR_SPINNING;
+        return bits;
+    }
+
+    function getProfile() {
+        return stand.profiles.find(p => p.name === stand.currentProfile) || stand.profiles[0];
+    }
+
+    function sampleTelemetry() {
+        const profile = getProfile();
+        const t = stand.armed ? Math.max(0, (stand.throttle - 48) / (2047 - 48)) : 0;
+        const noise = () => (Math.random() - 0.5) * 0.02;
+        const current = stand.armed ? 0.4 + 55 * Math.pow(t, 2.4) + noise() : 0;
+        const voltage = profile.bat * 4.15 - current * 0.015 + noise();
+        const rpm = Math.round(profile.mKV * voltage * t * 0.82);
+        stand.force = 1000 * profile.thrustLim * 0.9 * t * t + stand.referenceMass;
+        const { loadCell } = stand;
+        const counts = stand.force * loadCell.trueScale + loadCell.offsetCounts;
+        const thrust = (counts - loadCell.tareCounts) / loadCell.scale + noise() * 10;
+
+        // First-order thermal model towards a load-dependent equilibrium
+        stand.escTemp += ((25 + current * 1.2) - stand.escTemp) * 0.01;
+        stand.motorTemp += ((25 + current * 1.6) - stand.motorTemp) * 0.006;
+
+        stand.sampleSeq = (stand.sampleSeq + 1) & 0xFFFF;
+
+        return {
+            type: 'data',
+            seq: stand.sampleSeq,
+            deviceTime: Date.now() - stand.bootTime,
+            voltage,
+            current,
+            power: voltage * current,
+            rpm,
+            thrust,
+            escTemp: stand.escTemp,
+            motorTemp: stand.motorTemp,
+            status: statusBits()
+        };
+    }
+
+    function handleCommand(command) {
+        switch (command.cmd) {
+            case 'get_version':
+                ack(command);
+                emit({ type: 'version', firmware: stand.firmware });
+                break;
+            case 'get_profile_list':
+                ack(command);
+                emit({ type: 'profiles', profiles: stand.profiles.map(p => p.name) });
+                stand.profiles.forEach(p => emit({ type: 'profile', ...p }));
+                break;
+            case 'get_cur_profile':
+                ack(command);
+                emit({ type: 'cur_profile', name: stand.currentProfile });
+                break;
+            case 'load_profile':
+                if (!stand.profiles.some(p => p.name === command.value)) {
+                    nack(command, 'unknown profile');
+                    break;
+                }
+                stand.currentProfile = command.value;
+                ack(command);
+                break;
+            case 'create_profile':
+            case 'save_profile': {
+                const { cmd, seq, timestamp, ...profile } = command;
+                const index = stand.profiles.findIndex(p => p.name === profile.name);
+                if (index === -1) stand.profiles.push(profile);
+                else stand.profiles[index] = profile;
+                ack(command);
+                break;
+            }
+            case 'delete_profile':
+                stand.profiles = stand.profiles.filter(p => p.name !== command.value);
+                ack(command);
+                break;
+            case 'arm':
+            case 'force_arm':
+                stand.armed = true;
+                stand.throttle = getProfile().armThrot;
+                ack(command);
+                break;
+            case 'disarm':
+                stand.armed = false;
+                stand.throttle = 48;
+                clearTimeout(heartbeatTimer);
+                ack(command);
+                break;
+            case 'heartbeat':
+                // Not acknowledged; once heartbeats have started, missing them for timeoutMs disarms
+                clearTimeout(heartbeatTimer);
+                heartbeatTimer = setTimeout(() => {
+                    stand.armed = false;
+                    stand.throttle = 48;
+                }, Number(command.timeoutMs) || 1000);
+                break;
+            case 'set_throttle':
+                if (!stand.armed) {
+                    nack(command, 'not armed');
+                    break;
+                }
+                stand.throttle = Math.max(48, Math.min(2047, Number(command.value) || 48));
+                ack(command);
+                break;
+            case 'stop':
+            case 'STOP_TEST':
+                stand.throttle = stand.armed ? getProfile().armThrot : 48;
+                ack(command);
+                break;
+            case 'set_telem_format':
+                if (command.value !== 'json' && command.value !== 'bin1') {
+                    nack(command, 'unknown format');
+                    break;
+                }
+                ack(command);
+                // Switch after the ACK so it still arrives as JSON
+                setTimeout(() => { stand.telemetryFormat = command.value; }, MOCK_LATENCY_MS);
+                break;
+            case 'set_dev_id':
+                ack(command);
+                break;
+            case 'tare':
+                stand.loadCell.taring = true;
+                ack(command);
+                setTimeout(() => {
+                    stand.loadCell.tareCounts = stand.force * stand.loadCell.trueScale + stand.loadCell.offsetCounts;
+                    stand.loadCell.taring = false;
+                }, MOCK_TARE_MS);
+                break;
+            case 'get_scale':
+                ack(command);
+                emit({ type: 'scale', value: stand.loadCell.scale });
+                break;
+            case 'set_scale': {
+                const scale = Number(command.value);
+                if (!isFinite(scale) || scale <= 0) {
+                    nack(command, 'invalid scale');
+                    break;
+                }
+                stand.loadCell.scale = scale;
+                ack(command);
+                break;
+            }
+            case 'ota_begin':
+            case 'ota_chunk':
+            case 'ota_end':
+            case 'ota_apply':
+            case 'ota_abort':
+                handleOtaCommand(command);
+                break;
+            default:
+                nack(command, 'unknown command');
+        }
+    }
+
+    /**
+     * Firmware update protocol, see core/firmwareUpdate.js
+     */
+    function handleOtaCommand(command) {
+        const { ota } = stand;
+        switch (command.cmd) {
+            case 'ota_begin':
+                if (!(command.size > 0)) {
+                    nack(command, 'invalid size');
+                    break;
+                }
+                if (stand.armed) {
+                    nack(command, 'armed');
+                    break;
+                }
+                // The same image (size and crc) continues where it stopped
+                if (!ota || ota.size !== command.size || ota.crc !== command.crc) {
+                    stand.ota = { size: command.size, crc: command.crc, bytes: new Uint8Array(command.size), offset: 0, verifiedVersion: null };
+                }
+                ack(command, { offset: stand.ota.offset });
+                break;
+            case 'ota_chunk': {
+                if (!ota) {
+                    nack(command, 'no update in progress');
+                    break;
+                }
+                const data = Uint8Array.from(atob(command.data || ''), c => c.charCodeAt(0));
+                if (command.offset > ota.offset || ota.offset + data.length > ota.size) {
+                    nack(command, `expected offset ${ota.offset}`);
+                    break;
+                }
+                // An earlier offset is a retried chunk that already arrived
+                if (command.offset === ota.offset) {
+                    ota.bytes.set(data, ota.offset);
+                    ota.offset += data.length;
+                }
+                ack(command, { offset: ota.offset });
+                break;
+            }
+            case 'ota_end':
+                if (!ota || ota.offset !== ota.size || crc32(ota.bytes) !== command.crc) {
+                    nack(command, 'image incomplete or checksum mismatch');
+                    break;
+                }
+                try {
+                    ota.verifiedVersion = parseFirmwareImage(ota.bytes).version;
+                } catch (err) {
+                    nack(command, err.message);
+                    break;
+                }
+                ack(command);
+                break;
+            case 'ota_apply':
+                if (!ota || !ota.verifiedVersion) {
+                    nack(command, 'no verified image');
+                    break;
+                }
+                ack(command);
+                setTimeout(() => {
+                    stand.firmware = `${ota.verifiedVersion}-mock`;
+                    stand.ota = null;
+                    stand.armed = false;
+                    stand.bootTime = Date.now();
+                    dropLink();
+                }, MOCK_REBOOT_DELAY_MS);
+                break;
+            case 'ota_abort':
+                stand.ota = null;
+                ack(command);
+                break;
+        }
+    }
+
+    let device = { id, name };
+
+    /**
+     * @param {Object} options - { knownDevice } - a device from the history is simulated under its own id
+     */
+    async function connect({ knownDevice = null } = {}) {
+        if (knownDevice) device = { id: knownDevice.id, name: knownDevice.name || name };
+        connected = true;
+        stand.telemetryFormat = 'json';
+        telemetryTimer = setInterval(() => emitTelemetry(sampleTelemetry()), MOCK_TELEMETRY_INTERVAL_MS);
+        return { ...device, appInfo };
+    }
+
+    async function reconnect() {
+        return connect();
+    }
+
+    /**
+     * Simulates an unexpected link loss (for exercising reconnect handling)
+     */
+    function dropLink() {
+        if (!connected) return;
+        clearInterval(telemetryTimer);
+        telemetryTimer = null;
+        connected = false;
+        disconnectHandlers.emit();
+    }
+
+    async function disconnect() {
+        if (!connected) return;
+        clearInterval(telemetryTimer);
+        telemetryTimer = null;
+        connected = false;
+        stand.armed = false;
+        clearTimeout(heartbeatTimer);
+        disconnectHandlers.emit();
+    }
+
+    function release() {
+        clearInterval(telemetryTimer);
+        telemetryTimer = null;
+        clearTimeout(heartbeatTimer);
+        connected = false;
+        messageHandlers.clear();
+        disconnectHandlers.clear();
+    }
+
+    async function send(message) {
+        if (!connected) {
+            throw new Error('Mock transport is not connected.');
+        }
+        handleCommand(JSON.parse(message));
+    }
+
+    return {
+        kind: 'mock',
+        connect,
+        reconnect,
+        disconnect,
+        release,
+        send,
+        onMessage: messageHandlers.add,
+        onDisconnect: disconnectHandlers.add,
+        isConnected: () => connected,
+        dropLink,
+        stand
+    };
+}
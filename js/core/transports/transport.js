@@ -0,0 +1,52 @@
+// Transport interface shared by every link to a stand (BLE, mock, ...)
+
+/**
+ * A transport moves complete text messages between the app and one device.
+ * Framing, chunking and link specifics stay inside the implementation. Binary telemetry
+ * frames are decoded by the transport and delivered as message objects.
+ *
+ * @typedef {Object} Transport
+ * @property {string} kind - Transport identifier ('ble', 'mock', ...)
+ * @property {(options?: Object) => Promise<DeviceDescriptor>} connect - Opens the link
+ * @property {(options?: Object) => Promise<DeviceDescriptor>} [reconnect] - Reopens the link to the same device without a chooser
+ * @property {() => Promise<void>} disconnect - Closes the link; onDisconnect handlers fire
+ * @property {() => void} release - Drops this transport's listeners and timers without closing a link another
+ *           transport may share (Web Bluetooth hands out one GATT connection per device); no handlers fire
+ * @property {(message: string, options?: { withoutResponse?: boolean }) => Promise<void>} send - Writes one complete message
+ * @property {(handler: (message: string|Object) => void) => Function} onMessage - Subscribes to complete incoming messages, returns unsubscribe
+ * @property {(handler: () => void) => Function} onDisconnect - Subscribes to link loss, returns unsubscribe
+ * @property {() => boolean} isConnected - Whether the link is currently open
+ */
+
+/**
+ * @typedef {Object} DeviceDescriptor
+ * @property {string} id - Stable device id
+ * @property {string} name - Display name
+ * @property {string|null} appInfo - Raw App Info payload, if the device exposes one
+ */
+
+/**
+ * Creates a minimal handler set used by transports for their events
+ * @returns {{ add: Function, emit: Function, clear: Function }}
+ */
+export function createEmitter() {
+    const handlers = new Set();
+    return {
+        add(handler) {
+            handlers.add(handler);
+            return () => handlers.delete(handler);
+        },
+        emit(...args) {
+            handlers.forEach((handler) => {
+                try {
+                    handler(...args);
+                } catch (err) {
+                    console.error('Transport handler error:', err);
+                }
+            });
+        },
+        clear() {
+            handlers.clear();
+        }
+    };
+}
@@ -1,8 +1,13 @@
 // Global application state
+import { TELEMETRY_BUFFER_CAPACITY, STATUS_TIMELINE_CAPACITY } from './config/constants.js';
+import { createRingBuffer } from './utils/ringBuffer.js';
+import { createStatusTimeline } from './core/statusTimeline.js';
+import { createLinkQuality } from './core/linkQuality.js';
+import { createEnergyMeter } from './core/derivedMetrics.js';
+import { createMetricStats } from './core/metricStats.js';
+
 export const state = {
     discoveredDevices: [],
-    connectedDeviceId: null,
-    profiles: [],
     selectedProfileId: null,
     lastTestResults: {
         power: [],
@@ -10,56 +15,158 @@ export const state = {
         thermal: []
     },
     connected: false,
-    hasActiveProfile: false, // Whether device has an active profile set
-    // Last received data from device
-    lastRxData: null,      // Last 'data' type message
-    lastRxStatus: null,    // Last 'status' type message
-    lastRxProfiles: null   // Last 'profiles' type message
-    ,
+    // Connected stands, keyed by device id (see createDeviceSession)
+    sessions: new Map(),
+    activeSessionId: null, // Stand the Control, Profiles and Analize tabs work with
     analysis: {
         running: false,
         stopping: false,
         mode: null,
         lastError: null,
+        interrupted: null, // Reason the current run was cut short by a link loss
         data: null, // Current run data
+        compare: [], // Other stands recorded side by side: [{ id, name, data }]
         history: [] // Array of past runs
     }
 };
 
-// BLE connection state
-export let bleDevice = null;
-export let gattServer = null;
-export let commandCharacteristic = null;
-export let telemetryCharacteristic = null;
+// Per-device fields. state.<field> reads and writes the active session, so single-stand code
+// keeps working unchanged; with no stand connected they fall back to detachedSession.
+const SESSION_FIELDS = [
+    'capabilities',     // Parsed App Info of the device (see core/capabilities.js)
+    'telemetryFormat',  // Negotiated telemetry encoding ('json' or 'bin1')
+    'profiles',
+    'hasActiveProfile', // Whether device has an active profile set
+    'lastRxData',       // Last 'data' type message
+    'lastRxStatus',     // Last 'status' type message
+    'lastRxProfiles'    // Last 'profiles' type message
+];
+
+function createSessionFields() {
+    return {
+        capabilities: null,
+        telemetryFormat: 'json',
+        profiles: [],
+        hasActiveProfile: false,
+        lastRxData: null,
+        lastRxStatus: null,
+        lastRxProfiles: null
+    };
+}
+
+const detachedSession = createSessionFields();
 
-export function setBleDevice(device) {
-    bleDevice = device;
+SESSION_FIELDS.forEach((field) => {
+    Object.defineProperty(state, field, {
+        enumerable: true,
+        get: () => (getActiveSession() || detachedSession)[field],
+        set: (value) => { (getActiveSession() || detachedSession)[field] = value; }
+    });
+});
+
+Object.defineProperty(state, 'connectedDeviceId', {
+    enumerable: true,
+    get: () => state.activeSessionId
+});
+
+/**
+ * @typedef {Object} DeviceSession
+ * @property {string} id - Device id reported by the transport
+ * @property {string} name - Advertised device name
+ * @property {import('./core/transports/transport.js').Transport} transport
+ * @property {Object|null} commands - Command channel (see createCommandChannel in utils/bluetooth.js)
+ * @property {string|null} firmware - Version reported by get_version
+ * @property {Object|null} compatibility - Matrix entry for that version (see core/firmwareCompatibility.js)
+ * @property {Object} telemetry - Ring buffer of every 'data' frame, stamped with deviceTime and hostTime (ms)
+ * @property {number} malformedFrames - Frames with fields that failed schema validation
+ * @property {Object} statusTimeline - Every status flag transition (see core/statusTimeline.js)
+ * @property {Object} linkQuality - Rate, jitter, loss, round trip and RSSI of the link (see core/linkQuality.js)
+ * @property {Object} energy - Wh and mAh drawn since the motor was armed (see core/derivedMetrics.js)
+ * @property {Object} metricStats - Minimum, peak and average of each field since arming (see core/metricStats.js)
+ * @property {Object} safety - Safety supervisor verdict and throttle hold (see core/safetySupervisor.js)
+ * @property {Object} link - Reconnect bookkeeping owned by core/bleConnection.js
+ */
+
+/**
+ * Creates the state of one connected stand
+ * @param {{ id: string, name: string }} device
+ * @param {import('./core/transports/transport.js').Transport} transport
+ * @returns {DeviceSession}
+ */
+export function createDeviceSession(device, transport) {
+    return {
+        id: device.id,
+        name: device.name || 'Unknown Device',
+        transport,
+        commands: null,
+        firmware: null,
+        compatibility: null,
+        telemetry: createRingBuffer(TELEMETRY_BUFFER_CAPACITY),
+        malformedFrames: 0,
+        statusTimeline: createStatusTimeline(STATUS_TIMELINE_CAPACITY),
+        linkQuality: createLinkQuality(),
+        energy: createEnergyMeter(),
+        metricStats: createMetricStats(),
+        safety: {
+            stage: 'ok',
+            reason: null,
+            throttleCeiling: null, // set_throttle above this ESC value is refused
+            lastThrottle: null,    // Last setpoint the stand took, where a ramp down starts
+            exceededSince: {},     // limit:level -> hostTime the value first crossed it
+            rampDownAt: null
+        },
+        ...createSessionFields(),
+        link: {
+            subscriptions: [],
+            userRequestedDisconnect: false,
+            reconnectActive: false,
+            reconnectTimer: null,
+            reconnectAttempt: 0,
+            wasArmedBeforeDrop: false,
+            handlers: {}
+        }
+    };
 }
 
-export function setGattServer(server) {
-    gattServer = server;
+export function addSession(session) {
+    state.sessions.set(session.id, session);
+    if (!state.activeSessionId) state.activeSessionId = session.id;
 }
 
-export function setCommandCharacteristic(characteristic) {
-    commandCharacteristic = characteristic;
+/**
+ * Removes a session; the next remaining stand (if any) becomes active
+ */
+export function removeSession(id) {
+    state.sessions.delete(id);
+    if (state.activeSessionId === id) {
+        const next = state.sessions.keys().next();
+        state.activeSessionId = next.done ? null : next.value;
+    }
 }
 
-export function setTelemetryCharacteristic(characteristic) {
-    telemetryCharacteristic = characteristic;
+export function getSession(id) {
+    return state.sessions.get(id) || null;
 }
 
-export function getBleDevice() {
-    return bleDevice;
+export function getSessions() {
+    return [...state.sessions.values()];
 }
 
-export function getGattServer() {
-    return gattServer;
+export function getActiveSession() {
+    return state.activeSessionId ? getSession(state.activeSessionId) : null;
 }
 
-export function getCommandCharacteristic() {
-    return commandCharacteristic;
+export function setActiveSessionId(id) {
+    if (!state.sessions.has(id)) return false;
+    state.activeSessionId = id;
+    return true;
 }
 
-export function getTelemetryCharacteristic() {
-    return telemetryCharacteristic;
+/**
+ * Link of the active stand
+ * @returns {import('./core/transports/transport.js').Transport|null}
+ */
+export function getTransport() {
+    const session = getActiveSession();
+    return session ? session.transport : null;
 }
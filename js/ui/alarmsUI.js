@@ -0,0 +1,117 @@
+// Alarm banner (shown on every tab) and the alarm log on the Logs tab
+import { vibrate } from '../utils/haptics.js';
+import { unlockAudio } from '../utils/sound.js';
+import { subscribe, EVENTS } from '../core/eventBus.js';
+import { getAlarms, getAlarmLog, acknowledgeAlarm, acknowledgeAllAlarms, getAlarmSettings, setAlarmSettings, ALARM_SEVERITY } from '../core/alarms.js';
+import { formatClockTime } from './statusTimelineView.js';
+
+const ALARM_LOG_ROWS = 100;
+
+const EVENT_LABELS = {
+    raised: 'raised',
+    cleared: 'condition cleared',
+    acknowledged: 'acknowledged'
+};
+
+export function initAlarmsUI() {
+    const acknowledgeAllButton = document.getElementById('acknowledgeAllAlarmsButton');
+    const soundCheckbox = document.getElementById('alarmSoundCheckbox');
+    const notificationsCheckbox = document.getElementById('alarmNotificationsCheckbox');
+    const settings = getAlarmSettings();
+
+    if (acknowledgeAllButton) {
+        acknowledgeAllButton.addEventListener('click', () => {
+            vibrate(30);
+            acknowledgeAllAlarms();
+        });
+    }
+    if (soundCheckbox) {
+        soundCheckbox.checked = settings.sound;
+        soundCheckbox.addEventListener('change', async () => {
+            vibrate(50);
+            if (soundCheckbox.checked) unlockAudio();
+            soundCheckbox.checked = (await setAlarmSettings({ sound: soundCheckbox.checked })).sound;
+        });
+    }
+    if (notificationsCheckbox) {
+        notificationsCheckbox.checked = settings.notifications;
+        notificationsCheckbox.addEventListener('change', async () => {
+            vibrate(50);
+            notificationsCheckbox.checked = (await setAlarmSettings({ notifications: notificationsCheckbox.checked })).notifications;
+        });
+    }
+
+    // Audio can only start after a user gesture; the first tap anywhere enables alarm sounds
+    document.addEventListener('pointerdown', unlockAudio, { once: true });
+
+    subscribe(EVENTS.ALARMS_CHANGED, ({ alarms }) => {
+        renderAlarmBanner(alarms);
+        renderAlarmLog();
+    });
+    renderAlarmBanner(getAlarms());
+    renderAlarmLog();
+}
+
+function renderAlarmBanner(alarms) {
+    const banner = document.getElementById('alarmBanner');
+    const title = document.getElementById('alarmBannerTitle');
+    const list = document.getElementById('alarmBannerList');
+    if (!banner || !list) return;
+
+    banner.hidden = alarms.length === 0;
+    if (!alarms.length) return;
+
+    const unacknowledged = alarms.filter(alarm => !alarm.acknowledgedAt);
+    const top = unacknowledged[0] || alarms[0];
+    banner.dataset.severity = unacknowledged.length ? top.severity : 'acknowledged';
+    if (title) {
+        title.textContent = unacknowledged.length
+            ? `${unacknowledged.length} alarm${unacknowledged.length > 1 ? 's' : ''} to acknowledge`
+            : 'Acknowledged alarms still active';
+    }
+
+    list.innerHTML = '';
+    alarms.forEach((alarm) => {
+        const li = document.createElement('li');
+        li.dataset.severity = alarm.severity;
+        li.classList.toggle('acknowledged', !!alarm.acknowledgedAt);
+
+        const text = document.createElement('span');
+        const state = alarm.conditionActive ? 'active' : `cleared ${formatClockTime(alarm.clearedAt)}`;
+        text.textContent = `${alarm.severity === ALARM_SEVERITY.CRITICAL ? 'CRITICAL' : alarm.severity.toUpperCase()}: ${alarm.label} - ${alarm.deviceName} (raised ${formatClockTime(alarm.raisedAt)}, ${state})`;
+        li.appendChild(text);
+
+        if (!alarm.acknowledgedAt) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = 'Acknowledge';
+            button.addEventListener('click', () => {
+                vibrate(30);
+                acknowledgeAlarm(alarm.key);
+            });
+            li.appendChild(button);
+        }
+        list.appendChild(li);
+    });
+}
+
+function renderAlarmLog() {
+    const list = document.getElementById('alarmLogList');
+    if (!list) return;
+    const entries = getAlarmLog().slice(-ALARM_LOG_ROWS).reverse();
+
+    list.innerHTML = '';
+    if (!entries.length) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = 'No alarms raised.';
+        list.appendChild(empty);
+        return;
+    }
+    entries.forEach((entry) => {
+        const li = document.createElement('li');
+        li.dataset.severity = entry.severity;
+        li.textContent = `${formatClockTime(entry.time)}  ${entry.label} (${entry.deviceName}) ${EVENT_LABELS[entry.event]}`;
+        list.appendChild(li);
+    });
+}
@@ -0,0 +1,56 @@
+// Header device switcher: picks the active stand when several are connected
+import { state, getSessions, getActiveSession } from '../../state.js';
+import { vibrate } from '../../utils/haptics.js';
+import { appendLog } from '../../utils/logUtils.js';
+import { switchActiveDevice } from '../../core/bleConnection.js';
+import { isSessionArmed } from '../../core/statusManager.js';
+import { subscribe, EVENTS } from '../../core/eventBus.js';
+
+// Events that change which stands are listed, or how
+const SWITCHER_EVENTS = [EVENTS.DEVICE_CONNECTED, EVENTS.DEVICE_DISCONNECTED, EVENTS.LINK_LOST, EVENTS.DEVICE_RECONNECTED, EVENTS.ACTIVE_DEVICE_CHANGED];
+
+/**
+ * Switching publishes ACTIVE_DEVICE_CHANGED; the tabs refresh themselves from it
+ */
+export function initDeviceSwitcher() {
+    SWITCHER_EVENTS.forEach(event => subscribe(event, renderDeviceSwitcher));
+    const select = document.getElementById('deviceSwitcherSelect');
+    if (select) {
+        select.addEventListener('change', () => handleSwitch(select.value));
+    }
+    renderDeviceSwitcher();
+}
+
+/**
+ * Rebuilds the switcher from the connected sessions; hidden with fewer than two stands
+ */
+export function renderDeviceSwitcher() {
+    const container = document.getElementById('deviceSwitcher');
+    const select = document.getElementById('deviceSwitcherSelect');
+    if (!container || !select) return;
+
+    const sessions = getSessions();
+    container.hidden = sessions.length < 2;
+    select.innerHTML = '';
+    sessions.forEach((session) => {
+        const option = new Option(session.link.reconnectActive ? `${session.name} (reconnecting)` : session.name, session.id);
+        select.add(option);
+    });
+    select.value = state.activeSessionId || '';
+}
+
+function handleSwitch(deviceId) {
+    if (deviceId === state.activeSessionId) return;
+
+    // The Control tab only drives the active stand; leaving a running motor behind would strand it
+    const active = getActiveSession();
+    if (state.analysis.running || state.analysis.stopping || (active && isSessionArmed(active))) {
+        appendLog('Disarm the active stand (and stop any analyze run) before switching stands.', 'warning');
+        vibrate(50);
+        renderDeviceSwitcher();
+        return;
+    }
+
+    vibrate(15);
+    if (!switchActiveDevice(deviceId)) renderDeviceSwitcher();
+}
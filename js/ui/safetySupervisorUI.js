@@ -0,0 +1,59 @@
+// Safety supervisor card (Control tab): settings and the verdict for the active stand
+import { getActiveSession } from '../state.js';
+import { vibrate } from '../utils/haptics.js';
+import { subscribe, EVENTS } from '../core/eventBus.js';
+import { getSafetySettings, setSafetySettings, isSupervising, SAFETY_STAGE } from '../core/safetySupervisor.js';
+
+const STAGE_LABELS = {
+    [SAFETY_STAGE.OK]: 'Within limits.',
+    [SAFETY_STAGE.WARN]: 'Close to a limit',
+    [SAFETY_STAGE.RAMP_DOWN]: 'Over a limit, throttle held at arm throttle until disarmed',
+    [SAFETY_STAGE.DISARM]: 'Disarmed'
+};
+
+export function initSafetySupervisorUI() {
+    const enabledCheckbox = document.getElementById('safetyEnabledCheckbox');
+    const inputs = document.querySelectorAll('[data-safety-setting]');
+    const settings = getSafetySettings();
+
+    if (enabledCheckbox) {
+        enabledCheckbox.checked = settings.enabled;
+        enabledCheckbox.addEventListener('change', () => {
+            if (!enabledCheckbox.checked && !confirm('Turn off the safety supervisor? Only the firmware limits will protect the stand.')) {
+                enabledCheckbox.checked = true;
+                return;
+            }
+            vibrate(50);
+            enabledCheckbox.checked = setSafetySettings({ enabled: enabledCheckbox.checked }).enabled;
+            renderStage();
+        });
+    }
+    inputs.forEach((input) => {
+        const key = input.dataset.safetySetting;
+        input.value = settings[key];
+        input.addEventListener('change', () => {
+            input.value = setSafetySettings({ [key]: input.value })[key];
+        });
+    });
+
+    [EVENTS.SAFETY_STAGE_CHANGED, EVENTS.ACTIVE_PROFILE_CHANGED, EVENTS.ACTIVE_DEVICE_CHANGED, EVENTS.DEVICE_DISCONNECTED]
+        .forEach(event => subscribe(event, renderStage));
+    renderStage();
+}
+
+function renderStage() {
+    const status = document.getElementById('safetyStageStatus');
+    if (!status) return;
+    const session = getActiveSession();
+    const stage = session ? session.safety.stage : SAFETY_STAGE.OK;
+    status.dataset.stage = stage;
+
+    if (!getSafetySettings().enabled) {
+        status.textContent = 'Off: only the firmware limits protect the stand.';
+    } else if (!session || !isSupervising(session)) {
+        status.textContent = 'No profile to supervise.';
+    } else {
+        const { reason } = session.safety;
+        status.textContent = reason ? `${STAGE_LABELS[stage]}: ${reason}.` : STAGE_LABELS[stage];
+    }
+}
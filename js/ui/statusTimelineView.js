@@ -0,0 +1,58 @@
+// Status timeline list, shared by the Logs tab (live, active stand) and the Analize tab (per run)
+import { isProblemTransition } from '../core/statusTimeline.js';
+
+/**
+ * Formats a transition time as wall clock time with milliseconds
+ */
+export function formatClockTime(hostTime) {
+    const date = new Date(hostTime);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+function formatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+    return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
+/**
+ * Renders transitions newest first
+ * @param {HTMLElement} list - <ul> to fill
+ * @param {Array} transitions - StatusTransition entries, oldest first
+ * @param {Object} options - { formatTime(transition), emptyText }
+ */
+export function renderStatusTimeline(list, transitions, { formatTime = t => formatClockTime(t.hostTime), emptyText = 'No status changes recorded.' } = {}) {
+    list.innerHTML = '';
+    if (!transitions.length) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = emptyText;
+        list.appendChild(empty);
+        return;
+    }
+
+    transitions.slice().reverse().forEach((transition) => {
+        const li = document.createElement('li');
+        li.classList.toggle('problem', isProblemTransition(transition));
+
+        const time = document.createElement('span');
+        time.className = 'timeline-time';
+        time.textContent = formatTime(transition);
+
+        const flag = document.createElement('span');
+        flag.className = 'timeline-flag';
+        flag.textContent = `${transition.flag} ${transition.set ? 'set' : 'cleared'}`;
+
+        const duration = document.createElement('span');
+        duration.className = 'timeline-duration';
+        if (transition.duration === null) {
+            duration.textContent = 'ongoing';
+        } else {
+            duration.textContent = `${transition.ongoing ? 'until end, ' : ''}${formatDuration(transition.duration)}`;
+        }
+
+        li.append(time, flag, duration);
+        list.appendChild(li);
+    });
+}
@@ -5,10 +5,16 @@
 //
 // Usage: replace original analizeTab.js with this file. Depends on Chart.js and your existing UI elements.
 
-import { state } from '../../../state.js';
+import { state, getSession, getSessions, getActiveSession } from '../../../state.js';
+import { isSessionArmed } from '../../../core/statusManager.js';
 import { appendLog } from '../../../utils/logUtils.js';
 import { sendCommand } from '../../../utils/bluetooth.js';
 import { getCurrentActiveProfile } from '../profileTab/profilesTab.js';
+import { subscribe, EVENTS } from '../../../core/eventBus.js';
+import { snapshotTransitions, isProblemTransition } from '../../../core/statusTimeline.js';
+import { renderStatusTimeline } from '../../statusTimelineView.js';
+import { getLatestCalibration } from '../../../core/loadCellCalibration.js';
+import { SAFETY_STAGE } from '../../../core/safetySupervisor.js';
 
 
 
@@ -22,13 +28,9 @@ state.analysis.lastIR_R2 = null;
 
 
 
-const MOTOR_ARMED_BIT = 1 << 8;
 const MAX_HISTORY = 10;
 const DEFAULT_ARM_THROTTLE = 48; // raw unit baseline used in old code
 
-function isArmedFromStatus(statusBits) {
-    return (statusBits & MOTOR_ARMED_BIT) !== 0;
-}
 
 function clamp(v, a, b) {
     return Math.max(a, Math.min(b, v));
@@ -76,7 +78,11 @@ function smoothCentered(arr, windowSize = 5) {
 // convert percent [0..100] (but enforced >= armPercent) -> ESC value [48..2047] and send via sendCommand
 let currentThrottle = 0; // percent
 
-async function sendThrottle(percent) {
+/**
+ * @param {number} percent
+ * @param {string[]} targets - Stands to send to; the running analyze's by default
+ */
+async function sendThrottle(percent, targets = analyzeTargets) {
     const profile = getCurrentActiveProfile();
     const armThrottleRaw = profile ? profile.armThrottle : DEFAULT_ARM_THROTTLE;
     const armPercent = ((armThrottleRaw - 48) / (2047 - 48)) * 100;
@@ -85,24 +91,26 @@ async function sendThrottle(percent) {
     percent = clamp(percent, 0, 100);
     const escValue = Math.round(48 + (percent / 100) * (2047 - 48));
     try {
-        await sendCommand('set_throttle', { value: escValue });
+        // Every recorded stand follows the same throttle schedule
+        await Promise.all(targets.map(deviceId => sendCommand('set_throttle', { value: escValue }, { deviceId })));
         currentThrottle = percent;
+        throttleLog.push({ hostTime: Date.now(), percent });
         // Start data collection on first throttle command
-        if (typeof window._startDataCollection === 'function') {
-            window._startDataCollection();
+        if (state.analysis.running && !recordings.length) {
+            startRecordings();
         }
     } catch (err) {
         appendLog(`sendThrottle error: ${err.message}`);
     }
 }
 
-async function rampThrottle(fromPercent, toPercent, durationMs = 1000) {
+async function rampThrottle(fromPercent, toPercent, durationMs = 1000, targets = analyzeTargets) {
     const steps = 25;
     const dt = Math.max(10, Math.floor(durationMs / steps));
     const delta = (toPercent - fromPercent) / steps;
     for (let i = 0; i <= steps; i++) {
         const p = fromPercent + delta * i;
-        await sendThrottle(p);
+        await sendThrottle(p, targets);
         // Note: small await to yield; you may want to refine for real-time constraints
         await new Promise(r => setTimeout(r, dt));
     }
@@ -114,10 +122,140 @@ async function rampThrottle(fromPercent, toPercent, durationMs = 1000) {
 
 let dataInterval = null;
 let chartInstance = null;
+let compareChartInstance = null;
+
+// Device ids the running analyze drives; the first one is the primary recording
+let analyzeTargets = [];
+
+// One recording per target: frames are drained from the stand's telemetry buffer, so none is
+// skipped or recorded twice. Throttle setpoints are logged with their send time.
+let recordings = [];
+let throttleLog = [];
+
+// Status timeline position of each target when the run started: [{ timeline, cursor, initial }]
+let statusMarks = [];
+
+/**
+ * Resolves the Stands select into device ids (active stand, every connected stand or one specific stand)
+ */
+function resolveAnalyzeTargets() {
+    const targetSelect = document.getElementById('analizeTargetSelect');
+    const target = targetSelect ? targetSelect.value : 'active';
+    if (target === 'all') {
+        // Active stand first so it stays the primary recording
+        return getSessions()
+            .map(session => session.id)
+            .sort((a, b) => (b === state.activeSessionId) - (a === state.activeSessionId));
+    }
+    if (target !== 'active' && getSession(target)) return [target];
+    return state.activeSessionId ? [state.activeSessionId] : [];
+}
+
+/**
+ * Latest telemetry of the primary recorded stand
+ */
+function getPrimaryTelemetry() {
+    const session = analyzeTargets.length ? getSession(analyzeTargets[0]) : null;
+    return (session ? session.lastRxData : state.lastRxData) || {};
+}
+
+function startRecordings() {
+    const hostStart = Date.now();
+    recordings = analyzeTargets.map((id, i) => {
+        const session = getSession(id);
+        return {
+            id,
+            name: session.name,
+            // The primary recording is the run's main data store
+            data: i === 0 ? state.analysis.data : state.analysis.compare[i - 1].data,
+            cursor: session.telemetry.cursor,
+            hostStart,
+            deviceStart: null,
+            lastDeviceTime: null,
+            throttleIndex: -1
+        };
+    });
+}
+
+/**
+ * Moves the frames that arrived since the last drain into the recording
+ */
+function drainRecording(rec) {
+    const session = getSession(rec.id);
+    if (!session) return;
+    const { items, cursor, dropped } = session.telemetry.readSince(rec.cursor);
+    rec.cursor = cursor;
+    if (dropped) {
+        appendLog(`Warning: ${dropped} telemetry frame(s) of ${rec.name} were overwritten before they were recorded`, 'warning');
+    }
+    items.forEach(sample => pushSample(rec, sample));
+}
+
+/**
+ * Seconds since the start of the run on the stand's clock (host arrival time if the firmware sends none)
+ */
+function sampleTime(rec, sample) {
+    if (sample.deviceTime === null || sample.deviceTime === undefined) {
+        return (sample.hostTime - rec.hostStart) / 1000;
+    }
+    if (rec.deviceStart === null || sample.deviceTime < rec.lastDeviceTime) {
+        // First frame, or the stand rebooted: anchor its clock to the host clock
+        rec.deviceStart = sample.deviceTime - (sample.hostTime - rec.hostStart);
+    }
+    rec.lastDeviceTime = sample.deviceTime;
+    return (sample.deviceTime - rec.deviceStart) / 1000;
+}
+
+/**
+ * Throttle setpoint in effect when the frame arrived
+ */
+function throttleAt(rec, hostTime) {
+    while (rec.throttleIndex + 1 < throttleLog.length && throttleLog[rec.throttleIndex + 1].hostTime <= hostTime) {
+        rec.throttleIndex++;
+    }
+    return rec.throttleIndex >= 0 ? throttleLog[rec.throttleIndex].percent : 0;
+}
+
+function pushSample(rec, tel) {
+    const d = rec.data;
+    d.timestamps.push(parseFloat(sampleTime(rec, tel).toFixed(3)));
+    d.deviceTime.push(tel.deviceTime);
+    d.hostTime.push(tel.hostTime);
+    d.throttle.push(parseFloat(throttleAt(rec, tel.hostTime).toFixed(2)));
+    d.voltage.push(parseFloat((tel.voltage || 0).toFixed(1)));
+    d.current.push(parseFloat((tel.current || 0).toFixed(1)));
+    d.power.push(parseFloat((tel.power || 0).toFixed(1)));
+    d.rpm.push(Math.round(tel.rpm || 0));
+    d.thrust.push(parseFloat(((tel.thrust || 0) / 1000).toFixed(2)));
+    d.escTemp.push(parseFloat((tel.escTemp || 0).toFixed(1)));
+    d.motorTemp.push(parseFloat((tel.motorTemp || 0).toFixed(1)));
+}
+
+/**
+ * Fills the Stands select from the connected sessions, keeping the selection when possible
+ */
+export function refreshAnalizeTargets() {
+    const targetSelect = document.getElementById('analizeTargetSelect');
+    if (!targetSelect) return;
+    const previous = targetSelect.value;
+    const sessions = getSessions();
+    const active = sessions.find(session => session.id === state.activeSessionId);
+
+    targetSelect.innerHTML = '';
+    targetSelect.add(new Option(active ? `Active stand (${active.name})` : 'Active stand', 'active'));
+    if (sessions.length > 1) {
+        targetSelect.add(new Option(`All connected stands (${sessions.length})`, 'all'));
+        sessions.forEach(session => targetSelect.add(new Option(session.name, session.id)));
+    }
+    targetSelect.value = [...targetSelect.options].some(option => option.value === previous) ? previous : 'active';
+}
 
 function resetDataStore() {
     return {
-        timestamps: [],    // seconds
+        timestamps: [],    // seconds since the run started (device clock)
+        deviceTime: [],    // device uptime of each frame, ms (null if not reported)
+        hostTime: [],      // arrival time of each frame, epoch ms
+        statusTimeline: null, // status flag transitions during the run (see attachStatusTimelines)
         throttle: [],      // percent
         voltage: [],
         current: [],
@@ -131,14 +269,34 @@ function resetDataStore() {
 
 async function startAnalyze(mode, params) {
     if (state.analysis.running) return;
+    analyzeTargets = resolveAnalyzeTargets();
+    const notArmed = analyzeTargets.map(getSession).filter(session => !isSessionArmed(session));
+    if (!analyzeTargets.length || notArmed.length) {
+        const names = notArmed.map(session => session.name).join(', ');
+        setAnalizeStatusMessage(names ? `⚠️ Not armed: ${names}. Arm every stand before starting.` : 'No stand to analyze.', 'warn');
+        return;
+    }
     // initialize
     currentThrottle = 0;
     state.analysis.data = resetDataStore();
+    state.analysis.compare = analyzeTargets.slice(1).map(id => ({
+        id,
+        name: getSession(id).name,
+        loadCellCalibration: getLatestCalibration(id),
+        data: resetDataStore()
+    }));
     state.analysis.running = true;
     state.analysis.stopping = false;
     state.analysis.mode = mode;
     state.analysis.lastError = null;
-    appendLog(`Analyze start: ${mode}`);
+    state.analysis.interrupted = null;
+    statusMarks = analyzeTargets.map((id) => {
+        const { statusTimeline } = getSession(id);
+        return { timeline: statusTimeline, cursor: statusTimeline.cursor, initial: statusTimeline.status ?? null };
+    });
+    appendLog(analyzeTargets.length > 1
+        ? `Analyze start: ${mode} on ${analyzeTargets.map(id => getSession(id).name).join(', ')}`
+        : `Analyze start: ${mode}`);
     setAnalizeStatusMessage(`${mode} analyze is running`, 'info');
     updateAnalizeControlsEnabled();
 
@@ -146,33 +304,14 @@ async function startAnalyze(mode, params) {
     showProgress();
     updateProgress(0);
 
-    // Start data collection timer - will be triggered after first throttle command
-    let dataCollectionStarted = false;
-    let startTime = null;
+    // Recordings start with the first throttle command; the timer only drains the buffers
+    recordings = [];
+    throttleLog = [];
     dataInterval = setInterval(() => {
-        if (!state.analysis.running || !dataCollectionStarted) return;
-        const now = (Date.now() - startTime) / 1000.0;
-        const tel = state.lastRxData || {};
-        const d = state.analysis.data;
-        d.timestamps.push(now);
-        d.throttle.push(parseFloat(currentThrottle.toFixed(2)));
-        d.voltage.push(parseFloat((tel.voltage || 0).toFixed(1)));
-        d.current.push(parseFloat((tel.current || 0).toFixed(1)));
-        d.power.push(parseFloat((tel.power || 0).toFixed(1)));
-        d.rpm.push(Math.round(tel.rpm || 0));
-        d.thrust.push(parseFloat(((tel.thrust || 0) / 1000).toFixed(2)));
-        d.escTemp.push(parseFloat((tel.escTemp || 0).toFixed(1)));
-        d.motorTemp.push(parseFloat((tel.motorTemp || 0).toFixed(1)));
+        if (!state.analysis.running) return;
+        recordings.forEach(drainRecording);
     }, 200);
 
-    // Function to start data collection (called after first throttle command)
-    window._startDataCollection = () => {
-        if (!dataCollectionStarted) {
-            dataCollectionStarted = true;
-            startTime = Date.now();
-        }
-    };
-
     try {
         // dispatch mode function
         switch (mode) {
@@ -186,7 +325,11 @@ async function startAnalyze(mode, params) {
             case 'efficiency': await runEfficiencyAnalysis(params); break;
             default: throw new Error(`Unknown analyze mode: ${mode}`);
         }
-        setAnalizeStatusMessage(`${mode} analyze completed`, 'info');
+        if (state.analysis.interrupted) {
+            setAnalizeStatusMessage(`${mode} analyze interrupted: ${state.analysis.interrupted}`, 'error');
+        } else {
+            setAnalizeStatusMessage(`${mode} analyze completed`, 'info');
+        }
     } catch (err) {
         state.analysis.lastError = err.message || String(err);
         setAnalizeStatusMessage(`Error: ${err.message || err}`, 'error');
@@ -196,19 +339,31 @@ async function startAnalyze(mode, params) {
         state.analysis.running = false;
         state.analysis.stopping = false;
         clearInterval(dataInterval);
+        // Pick up the frames that arrived after the last tick
+        recordings.forEach(drainRecording);
+        attachStatusTimelines();
         hideProgress();
 
         // render and save history if data exists
         if (state.analysis.data && state.analysis.data.timestamps.length) {
             renderGraphs(state.analysis.mode, state.analysis.data);
+            const primary = getSession(analyzeTargets[0]);
+            const device = primary ? { id: primary.id, name: primary.name } : null;
+            renderCompareGraph(device, state.analysis.data, state.analysis.compare);
+            renderRunStatusTimeline(device, state.analysis.data, state.analysis.compare);
             state.analysis.history = state.analysis.history || [];
             // Save params and profile used for this run
             const profile = getCurrentActiveProfile();
             state.analysis.history.push({
                 mode: state.analysis.mode,
                 data: state.analysis.data,
+                device,
+                compare: state.analysis.compare,
                 params: params,
                 profile: profile,
+                // Thrust of the run is traceable to the calibration in use (null: never calibrated from this app)
+                loadCellCalibration: device ? getLatestCalibration(device.id) : null,
+                interrupted: state.analysis.interrupted,
                 timestamp: Date.now()
             });
             if (state.analysis.history.length > MAX_HISTORY) state.analysis.history.shift();
@@ -217,10 +372,65 @@ async function startAnalyze(mode, params) {
 
         // free data reference (to avoid accidental reuse)
         state.analysis.data = null;
+        state.analysis.compare = [];
+        analyzeTargets = [];
+        recordings = [];
+        throttleLog = [];
+        statusMarks = [];
         updateAnalizeControlsEnabled();
     }
 }
 
+/**
+ * Stores the status flag changes of each target during the run with its data, so a bad run
+ * can be explained afterwards (the stand's own timeline keeps only the most recent changes)
+ */
+function attachStatusTimelines() {
+    const endTime = Date.now();
+    const stores = [state.analysis.data, ...state.analysis.compare.map(entry => entry.data)];
+    statusMarks.forEach(({ timeline, cursor, initial }, i) => {
+        if (!stores[i]) return;
+        const { items, dropped } = timeline.readSince(cursor);
+        const transitions = snapshotTransitions(items, endTime);
+        stores[i].statusTimeline = { initial, transitions, dropped };
+
+        const problems = transitions.filter(isProblemTransition).length;
+        if (problems) {
+            const name = i === 0 ? (getSession(analyzeTargets[0])?.name || 'primary stand') : state.analysis.compare[i - 1].name;
+            appendLog(`${problems} status problem(s) on ${name} during the run, see Status Changes During Run`, 'warning');
+        }
+    });
+}
+
+/**
+ * Lists the status changes of each recorded stand, timed like the graphs (seconds since the run started)
+ */
+function renderRunStatusTimeline(device, data, compare = []) {
+    const card = document.getElementById('runStatusTimelineCard');
+    const container = document.getElementById('runStatusTimeline');
+    if (!card || !container) return;
+    const series = [{ name: device ? device.name : 'Primary', data }, ...compare].filter(entry => entry.data && entry.data.statusTimeline);
+    card.style.display = series.length ? '' : 'none';
+    container.innerHTML = '';
+
+    series.forEach(({ name, data: runData }) => {
+        if (series.length > 1) {
+            const heading = document.createElement('h3');
+            heading.textContent = name;
+            container.appendChild(heading);
+        }
+        // Host time at which the run's time axis is zero
+        const origin = runData.hostTime.length ? runData.hostTime[0] - runData.timestamps[0] * 1000 : null;
+        const list = document.createElement('ul');
+        list.className = 'status-timeline';
+        renderStatusTimeline(list, runData.statusTimeline.transitions, {
+            formatTime: t => (origin === null ? '--' : `${((t.hostTime - origin) / 1000).toFixed(2)} s`),
+            emptyText: 'No status flag changed during the run.'
+        });
+        container.appendChild(list);
+    });
+}
+
 async function stopAnalyze() {
     if (!state.analysis.running) return;
     const mode = state.analysis.mode;
@@ -229,19 +439,41 @@ async function stopAnalyze() {
     updateAnalizeControlsEnabled();
     appendLog(`Analyze stop requested: ${mode}`);
     setAnalizeStatusMessage('Stopping analyze...', 'warn');
+    // The run's clean-up clears analyzeTargets while the ramp below is still going
+    const targets = [...analyzeTargets];
 
     // ramp down from currentThrottle to arm throttle percent
     const profile = getCurrentActiveProfile();
     const armThrottleRaw = profile ? profile.armThrottle : DEFAULT_ARM_THROTTLE;
     const armPercent = ((armThrottleRaw - 48) / (2047 - 48)) * 100;
     // ramp down in 2.5s for safety
-    await rampThrottle(currentThrottle, armPercent, 2500);
+    await rampThrottle(currentThrottle, armPercent, 2500, targets);
 
     state.analysis.stopping = false;
     setAnalizeStatusMessage(`${mode} analyze stopped`, 'info');
     updateAnalizeControlsEnabled(false);
 }
 
+/**
+ * Aborts the running analyze after the device link was lost.
+ * No ramp-down is attempted (there is no link to send it over); the partial run is kept
+ * in history and flagged as interrupted.
+ * @param {string} reason - Shown in the status line and stored with the run
+ * @param {string|null} deviceId - Stand that was lost; runs that do not record it keep going
+ */
+export function interruptAnalyze(reason = 'connection lost', deviceId = null) {
+    if (!state.analysis.running && !state.analysis.stopping) return;
+    if (deviceId && !analyzeTargets.includes(deviceId)) return;
+    state.analysis.interrupted = reason;
+    state.analysis.running = false;
+    appendLog(`Analyze interrupted: ${reason}`, 'warning');
+
+    // Stands that are still connected would otherwise hold the last setpoint
+    analyzeTargets.filter(id => id !== deviceId && getSession(id)).forEach((id) => {
+        sendCommand('stop', {}, { deviceId: id }).catch(err => appendLog(`Failed to stop ${getSession(id)?.name || id}: ${err.message}`, 'error'));
+    });
+}
+
 // -----------------------------------------------------------------------------
 // Mode implementations (unchanged semantics, organized & safe)
 // -----------------------------------------------------------------------------
@@ -366,14 +598,16 @@ async function runKVEstimation(params) {
                 resolve();
             };
         });
-        // Collect samples during dwell
-        const dwellSamples = [];
+        // Collect every frame the primary stand sent during the dwell
+        const primary = getSession(analyzeTargets[0]);
+        const dwellCursor = primary ? primary.telemetry.cursor : 0;
         const dwellStart = Date.now();
         while ((Date.now() - dwellStart) < dwell * 1000 && state.analysis.running) {
-            const last = state.lastRxData || {};
-            dwellSamples.push({ voltage: last.voltage || 0, rpm: last.rpm || 0 });
-            await new Promise(r => setTimeout(r, 100)); // sample every 100ms
+            await new Promise(r => setTimeout(r, 100));
         }
+        const dwellSamples = primary
+            ? primary.telemetry.readSince(dwellCursor).items.map(tel => ({ voltage: tel.voltage || 0, rpm: tel.rpm || 0 }))
+            : [];
         // Compute mean voltage and rpm for this dwell
         const n = dwellSamples.length;
         const meanVoltage = n ? dwellSamples.reduce((sum, s) => sum + s.voltage, 0) / n : 0;
@@ -381,7 +615,7 @@ async function runKVEstimation(params) {
         state.analysis.data.meanVoltage.push(meanVoltage);
         state.analysis.data.meanRPM.push(meanRPM);
         // optional: check current ceiling and abort if exceeded
-        const last = state.lastRxData || {};
+        const last = getPrimaryTelemetry();
         if (last.current && last.current > currentCeiling) {
             throw new Error(`Current ceiling exceeded: ${last.current}A`);
         }
@@ -1576,16 +1810,81 @@ function renderGraphs(mode, data) {
     }
 }
 
+const COMPARE_COLORS = ['#149eca', '#e74c3c', '#27ae60', '#f39c12', '#9b59b6', '#1abc9c'];
+
+/**
+ * Overlays one metric of every stand recorded in the same run (time on X).
+ * The card stays hidden for single-stand runs.
+ * @param {{ id: string, name: string }|null} device - Primary stand
+ * @param {Object} data - Primary recording
+ * @param {Array<{ id: string, name: string, data: Object }>} compare - Other stands of the run
+ */
+function renderCompareGraph(device, data, compare = []) {
+    const card = document.getElementById('compareGraphCard');
+    const el = document.getElementById('analyzeCompareChart');
+    if (compareChartInstance) {
+        try { compareChartInstance.destroy(); } catch (e) {}
+        compareChartInstance = null;
+    }
+    if (!card || !el) return;
+    card.style.display = compare && compare.length ? '' : 'none';
+    if (!compare || !compare.length) return;
+
+    const metricSelect = document.getElementById('compareMetricSelect');
+    const metric = metricSelect ? metricSelect.value : 'thrust';
+    const metricLabel = metricSelect ? metricSelect.options[metricSelect.selectedIndex].text : metric;
+    const fontSizes = getChartFontSizes();
+    const series = [{ name: device ? device.name : 'Primary', data }, ...compare];
+
+    // Each stand has its own frame times, so the series are plotted as (time, value) points
+    compareChartInstance = new Chart(el.getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: series.map((entry, i) => ({
+                label: entry.name,
+                data: smoothCentered(entry.data[metric] || [], 3).map((y, j) => ({ x: entry.data.timestamps[j], y })),
+                borderColor: COMPARE_COLORS[i % COMPARE_COLORS.length],
+                fill: false,
+                pointRadius: 0,
+                borderWidth: 1
+            }))
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: {
+                        font: { size: fontSizes.legend },
+                        boxWidth: fontSizes.boxWidth,
+                        boxHeight: fontSizes.boxHeight,
+                        padding: fontSizes.padding
+                    }
+                }
+            },
+            scales: {
+                x: { type: 'linear', title: { display: true, text: 'Time (s)', font: { size: fontSizes.axisTitle } }, ticks: { font: { size: fontSizes.ticks } } },
+                y: { title: { display: true, text: metricLabel, font: { size: fontSizes.axisTitle } }, ticks: { font: { size: fontSizes.ticks } } }
+            }
+        }
+    });
+}
+
 // -----------------------------------------------------------------------------
 // CSV Export utility (same semantics as original)
 // -----------------------------------------------------------------------------
 
 function generateCSV(data) {
-    const headers = ['Time (s)', 'Throttle (%)', 'Voltage (V)', 'Current (A)', 'Power (W)', 'RPM', 'Thrust (g)', 'ESC Temp (°C)', 'Motor Temp (°C)'];
+    const headers = ['Time (s)', 'Device Time (ms)', 'Host Time', 'Throttle (%)', 'Voltage (V)', 'Current (A)', 'Power (W)', 'RPM', 'Thrust (g)', 'ESC Temp (°C)', 'Motor Temp (°C)'];
     const rows = [headers];
     for (let i = 0; i < data.timestamps.length; i++) {
+        // Runs saved before frames were timestamped have no deviceTime/hostTime
+        const deviceTime = data.deviceTime ? data.deviceTime[i] : null;
+        const hostTime = data.hostTime ? data.hostTime[i] : null;
         rows.push([
-            (data.timestamps[i]).toFixed(2),
+            (data.timestamps[i]).toFixed(3),
+            deviceTime ?? '',
+            hostTime ? new Date(hostTime).toISOString() : '',
             data.throttle[i],
             data.voltage[i],
             data.current[i],
@@ -1805,6 +2104,7 @@ function getCurrentParamsFromUI() {
 
 function updateAnalizeControlsEnabled(updateMessage = true) {
     const modeSelect = document.getElementById('analizeModeSelect');
+    const targetSelect = document.getElementById('analizeTargetSelect');
     const startBtn = document.getElementById('analizeStartButton');
     const stopBtn = document.getElementById('analizeStopButton');
     const paramsContainer = document.getElementById('analize-params-card');
@@ -1814,7 +2114,8 @@ function updateAnalizeControlsEnabled(updateMessage = true) {
     const connected = !!state.connected;
     const statusMsg = state.lastRxStatus || {};
     const statusBits = statusMsg.status !== undefined ? statusMsg.status : 0;
-    const armed = isArmedFromStatus(statusBits);
+    const active = getActiveSession();
+    const armed = !!active && isSessionArmed(active);
 
     console.log('[AnalizeTab] statusBits:', statusBits, 'armed:', armed, 'connected:', connected);
 
@@ -1827,6 +2128,7 @@ function updateAnalizeControlsEnabled(updateMessage = true) {
     const canModify = enable && !state.analysis.running && !state.analysis.stopping;
 
     if (modeSelect) modeSelect.disabled = !canModify;
+    if (targetSelect) targetSelect.disabled = !canModify;
     if (startBtn) startBtn.disabled = !canModify;
     if (stopBtn) stopBtn.disabled = !state.analysis.running || state.analysis.stopping;
 
@@ -1889,9 +2191,6 @@ export function initAnalizeTab() {
     updateModeDescription(initialMode);
     updateAnalizeControlsEnabled();
 
-    // Global hook
-    window.updateAnalizeStatusUI = updateAnalizeControlsEnabled;
-
     // Mode change -> render params & description
     if (modeSelect) {
         modeSelect.addEventListener('change', () => {
@@ -1946,6 +2245,11 @@ export function initAnalizeTab() {
             if (profile && profile.profileName) {
                 profileText = `Profile: ${profile.profileName}`;
             }
+            const calibration = lastRun.loadCellCalibration;
+            const calibrationText = calibration
+                ? `Load cell calibrated ${new Date(calibration.time).toISOString().slice(0, 10)} (scale ${calibration.scale.toFixed(3)})`
+                : 'Load cell: no calibration recorded';
+            profileText = profileText ? `${profileText} | ${calibrationText}` : calibrationText;
 
             // Battery voltage and analysis metrics
             const data = lastRun.data || {};
@@ -1977,7 +2281,7 @@ export function initAnalizeTab() {
             pdf.addImage(imgData, 'PNG', 20, 50, chartCanvas.width, chartCanvas.height);
             pdf.setFontSize(12);
             pdf.text(profileText, 20, chartCanvas.height + 70);
-            pdf.text(`Mode: ${mode}`, 20, chartCanvas.height + 90);
+            pdf.text(lastRun.interrupted ? `Mode: ${mode} (INTERRUPTED: ${lastRun.interrupted})` : `Mode: ${mode}`, 20, chartCanvas.height + 90);
             pdf.text(`Parameters: ${paramText}`, 20, chartCanvas.height + 110);
             pdf.text(footerText, 20, chartCanvas.height + 130);
             const filename = `analyze_${mode}_${new Date(lastRun.timestamp).toISOString().slice(0,19).replace(/:/g,'-')}.pdf`;
@@ -2008,6 +2312,18 @@ export function initAnalizeTab() {
         });
     }
 
+    // Side-by-side metric select re-renders the last multi-stand run
+    const compareMetricSelect = document.getElementById('compareMetricSelect');
+    if (compareMetricSelect) {
+        compareMetricSelect.addEventListener('change', () => {
+            const hist = state.analysis.history || [];
+            if (!hist.length) return;
+            const last = hist[hist.length - 1];
+            renderCompareGraph(last.device, last.data, last.compare);
+        });
+    }
+    refreshAnalizeTargets();
+
     // Mode description switcher (independent select)
     if (descriptionModeSelect) {
         descriptionModeSelect.addEventListener('change', () => {
@@ -2016,27 +2332,35 @@ export function initAnalizeTab() {
         });
     }
 
-    // Expose on-open hook for tab refresh
-    window.onAnalizeTabOpen = function() {
+    subscribe(EVENTS.TAB_OPENED, ({ tab }) => {
+        if (tab !== 'analize') return;
         updateAnalizeControlsEnabled();
         // refresh params in case profile changed
         const m = (modeSelect && modeSelect.value) || 'sweep';
         renderParamsUI(m);
         updateModeDescription('');
-    };
+    });
 
-    // UI refresh hook for telemetry updates
-    window.updateAnalizeStatusUI = function(options = {}) {
-        const { error, warn } = options;
-        if (error) {
-            state.analysis.lastError = error;
-            setAnalizeStatusMessage(`Error: ${error}`, 'error');
-        } else if (warn) {
-            setAnalizeStatusMessage(`Warn: ${warn}`, 'warn');
-        } else {
-            updateAnalizeControlsEnabled();
+    // Arming and warnings of the active stand change what can be started
+    subscribe(EVENTS.STATUS_CHANGED, ({ isActive }) => {
+        if (isActive) updateAnalizeControlsEnabled();
+    });
+    // A stand dropping out mid-run stops the others (see interruptAnalyze)
+    subscribe(EVENTS.LINK_LOST, ({ session }) => interruptAnalyze('connection lost', session.id));
+    subscribe(EVENTS.DEVICE_DISCONNECTED, ({ deviceId }) => interruptAnalyze('device disconnected', deviceId));
+    // The supervisor has taken the throttle of a recorded stand; the schedule cannot go on
+    subscribe(EVENTS.SAFETY_STAGE_CHANGED, ({ session, stage, reason }) => {
+        if (stage === SAFETY_STAGE.RAMP_DOWN || stage === SAFETY_STAGE.DISARM) {
+            interruptAnalyze(`safety supervisor on ${session.name}: ${reason}`, session.id);
         }
-    };
+    });
+    // Page hidden or unfocused mid-run: the watchdog is disarming the stand
+    subscribe(EVENTS.WATCHDOG_TRIPPED, ({ session, reason }) => interruptAnalyze(`${reason} while ${session.name} was armed`, session.id));
+    subscribe(EVENTS.WARNINGS, ({ warnings, session }) => {
+        if (session.id === state.activeSessionId || analyzeTargets.includes(session.id)) {
+            setAnalizeStatusMessage(`Warn: ${state.sessions.size > 1 ? `[${session.name}] ` : ''}${warnings.join(', ')}`, 'warn');
+        }
+    });
 }
 
 
@@ -6,22 +6,28 @@
  * 
  * Functions:
  * - `initConnectionTab`            : Initializes event listeners for connection tab elements.
- * - `connectDevice`                : Handles device connection process and UI updates.
+ * - `connectDevice`                : Handles device connection process and UI updates (optionally to a known device).
  * - `disconnectDevice`             : Handles device disconnection process and UI updates.
  * - `onDisconnected`               : Callback for handling UI updates after disconnection.
+ * - `onLinkLost`                   : Callback for an unexpected drop while auto-reconnect is retrying.
+ * - `onActiveDeviceChanged`        : Refreshes the tabs after another connected stand became active (ACTIVE_DEVICE_CHANGED).
+ * - `renderDeviceList`             : Renders the persistent device history with connect/rename/forget actions.
  */ 
 
 
 
 // Import state and utilities
-import { state } from '../../../state.js';
+import { state, getActiveSession } from '../../../state.js';
 import { setStatus } from "../../../utils/statusUtil.js";
 import { appendLog } from '../../../utils/logUtils.js';
 import { vibrate } from '../../../utils/haptics.js';
+import { applyCapabilityRestrictions } from '../../../utils/uiUtils.js';
 
 // Import profile tab functions
-import { resetActiveProfile, resetProfilesTabUI } from '../profileTab/profilesTab.js';
+import { resetActiveProfile, resetProfilesTabUI, loadProfilesFromDevice } from '../profileTab/profilesTab.js';
 import { resetControlTabUI, updateControlsAvailability } from '../controlTab/controlTabUI.js';
+import { refreshAnalizeTargets } from '../analizeTab/analizeTabUI.js';
+import { renderDeviceSwitcher } from '../../navigation/deviceSwitcherUI.js';
 
 // Import core functions
 import { 
@@ -29,8 +35,14 @@ import {
     disconnectDevice as coreDisconnectDevice, 
     handleDisconnection, 
     rememberDevice as coreRememberDevice, 
-    setDeviceId as coreSetDeviceId 
+    refreshSessionName,
+    setDeviceId as coreSetDeviceId,
+    isAutoReconnectEnabled,
+    setAutoReconnectEnabled
 } from '../../../core/bleConnection.js';
+import { loadDeviceHistory, setDeviceAlias, forgetDevice, getDeviceDisplayName } from '../../../core/deviceHistory.js';
+import { subscribe, EVENTS } from '../../../core/eventBus.js';
+import { COMPATIBILITY_LEVEL } from '../../../core/firmwareCompatibility.js';
 
 // ==================================================================================================== //
 
@@ -38,10 +50,11 @@ export function initConnectionTab() {
     const connectButton = document.getElementById('connectButton');
     const disconnectButton = document.getElementById('disconnectButton');
     const setDeviceIdButton = document.getElementById('setDeviceIdButton');
+    const autoReconnectCheckbox = document.getElementById('autoReconnectCheckbox');
     // const scanAllDevicesCheckbox = document.getElementById('scanAllDevices');
 
     if (connectButton) {
-        connectButton.addEventListener('click', connectDevice);
+        connectButton.addEventListener('click', () => connectDevice());
     }
     if (disconnectButton) {
         disconnectButton.addEventListener('click', disconnectDevice);
@@ -49,8 +62,20 @@ export function initConnectionTab() {
     if (setDeviceIdButton) {
         setDeviceIdButton.addEventListener('click', handleSetDeviceId);
     }
+    if (autoReconnectCheckbox) {
+        autoReconnectCheckbox.checked = isAutoReconnectEnabled();
+        autoReconnectCheckbox.addEventListener('change', () => {
+            setAutoReconnectEnabled(autoReconnectCheckbox.checked);
+            appendLog(`Auto-reconnect ${autoReconnectCheckbox.checked ? 'enabled' : 'disabled'}.`);
+        });
+    }
+    
+    // Switching stands (header switcher, or a disconnect handing over to the next stand)
+    subscribe(EVENTS.ACTIVE_DEVICE_CHANGED, onActiveDeviceChanged);
+    subscribe(EVENTS.FIRMWARE_CHECKED, onFirmwareChecked);
     
-    // Initialize device list
+    // Initialize device list from the stored history
+    loadDeviceHistory();
     renderDeviceList();
 }
 
@@ -67,10 +92,56 @@ function renderDeviceList() {
 
     state.discoveredDevices.forEach((device) => {
         const li = document.createElement('li');
-        li.textContent = device.name;
+        const isConnected = state.sessions.has(device.id);
         if (device.id === state.connectedDeviceId) {
             li.classList.add('active');
         }
+
+        const info = document.createElement('div');
+        info.className = 'device-info';
+        const title = document.createElement('strong');
+        title.textContent = getDeviceDisplayName(device);
+        const details = document.createElement('span');
+        details.className = 'device-details';
+        const detailParts = [];
+        if (device.alias) detailParts.push(device.name);
+        if (device.lastConnected) detailParts.push(`Last: ${new Date(device.lastConnected).toLocaleString()}`);
+        if (device.firmware) detailParts.push(`FW: ${device.firmware}`);
+        details.textContent = detailParts.join(' · ');
+        info.append(title, details);
+
+        const actions = document.createElement('div');
+        actions.className = 'device-actions';
+        const reconnectButton = document.createElement('button');
+        reconnectButton.textContent = isConnected ? 'Disconnect' : 'Connect';
+        reconnectButton.addEventListener('click', () => {
+            if (isConnected) {
+                coreDisconnectDevice(onDisconnected, device.id);
+            } else {
+                connectDevice({ id: device.id, name: device.name });
+            }
+        });
+        const renameButton = document.createElement('button');
+        renameButton.textContent = 'Rename';
+        renameButton.addEventListener('click', () => {
+            const alias = prompt(`Friendly name for "${device.name}" (leave empty to clear):`, device.alias || '');
+            if (alias === null) return;
+            setDeviceAlias(device.id, alias);
+            refreshSessionName(device.id);
+            refreshDeviceViews();
+            if (device.id === state.activeSessionId) showActiveDeviceName();
+        });
+        const forgetButton = document.createElement('button');
+        forgetButton.textContent = 'Forget';
+        forgetButton.disabled = isConnected;
+        forgetButton.addEventListener('click', () => {
+            if (!confirm(`Remove "${getDeviceDisplayName(device)}" from device history?`)) return;
+            forgetDevice(device.id);
+            renderDeviceList();
+        });
+        actions.append(reconnectButton, renameButton, forgetButton);
+
+        li.append(info, actions);
         deviceList.appendChild(li);
     });
 }
@@ -87,30 +158,46 @@ async function handleSetDeviceId() {
     }
 }
 
-async function connectDevice() {
-    const deviceNameDisplay = document.getElementById('deviceName');
-    
+/**
+ * Connects a stand. Stands that are already connected stay connected; the first one is the active stand.
+ * @param {{ id: string, name: string }|null} knownDevice - Device from the history to reconnect to
+ */
+async function connectDevice(knownDevice = null) {
     try {
-        const device = await coreConnectDevice(
+        await coreConnectDevice(
             // onConnected callback
             (device) => {
                 coreRememberDevice(device);
                 
-                if (deviceNameDisplay) {
-                    deviceNameDisplay.textContent = `Device: ${device.name || 'Unknown'}`;
-                }
-                
                 // Update button states
-                const connectButton = document.getElementById('connectButton');
                 const disconnectButton = document.getElementById('disconnectButton');
-                if (connectButton) connectButton.disabled = true;
                 if (disconnectButton) disconnectButton.disabled = false;
                 
-                renderDeviceList();
-                updateControlsAvailability();
+                if (device.id === state.activeSessionId) {
+                    showActiveDeviceName();
+                    updateControlsAvailability();
+                }
+                refreshDeviceViews();
             },
             // onDisconnected callback
-            onDisconnected
+            onDisconnected,
+            {
+                knownDevice,
+                onLinkLost,
+                onReconnecting: () => {
+                    // Keep Disconnect available so the user can cancel the retries
+                    const disconnectButton = document.getElementById('disconnectButton');
+                    if (disconnectButton) disconnectButton.disabled = false;
+                },
+                onReconnected: (device) => {
+                    if (device.id === state.activeSessionId) {
+                        showActiveDeviceName();
+                        const disconnectButton = document.getElementById('disconnectButton');
+                        if (disconnectButton) disconnectButton.disabled = false;
+                        updateControlsAvailability();
+                    }
+                }
+            }
         );
     } catch (error) {
         // Error already handled in core function
@@ -121,34 +208,96 @@ async function disconnectDevice() {
     await coreDisconnectDevice(onDisconnected);
 }
 
-function onDisconnected() {
+function showActiveDeviceName() {
     const deviceNameDisplay = document.getElementById('deviceName');
-    
-    // Call core disconnection handler
-    handleDisconnection();
-    
+    const firmwareVersion = document.getElementById('firmwareVersion');
+    const session = getActiveSession();
     if (deviceNameDisplay) {
-        deviceNameDisplay.textContent = 'Device: N/A';
+        deviceNameDisplay.textContent = `Device: ${session ? session.name : 'N/A'}`;
     }
-    
-    // Update button states
-    const connectButton = document.getElementById('connectButton');
-    const disconnectButton = document.getElementById('disconnectButton');
-    if (connectButton) connectButton.disabled = false;
-    if (disconnectButton) disconnectButton.disabled = true;
-    
-    resetActiveProfile(); // Clear active profile on disconnect
-    renderDeviceList();
-    
-    // Reset UI for control and profiles tabs
-    resetControlTabUI();
-    resetProfilesTabUI();
-    
-    updateControlsAvailability();
+    if (firmwareVersion) {
+        firmwareVersion.textContent = session && session.firmware ? `${session.firmware}v` : '--';
+    }
+    showFirmwareCompatibility(session ? session.compatibility : null);
 }
 
+const COMPATIBILITY_COLORS = {
+    [COMPATIBILITY_LEVEL.OK]: '#28a745',
+    [COMPATIBILITY_LEVEL.WARN]: '#f39c12',
+    [COMPATIBILITY_LEVEL.BLOCK]: '#dc3545'
+};
 
+function showFirmwareCompatibility(compatibility) {
+    const element = document.getElementById('firmwareCompatibility');
+    if (!element) return;
+    element.textContent = compatibility ? `(${compatibility.message})` : '';
+    element.style.color = compatibility ? COMPATIBILITY_COLORS[compatibility.level] : '';
+}
 
+/**
+ * The stand reported its firmware: show the verdict and gate the UI on the commands it turned out to have
+ */
+function onFirmwareChecked({ compatibility, isActive }) {
+    if (!isActive) return;
+    showActiveDeviceName();
+    applyCapabilityRestrictions(state.capabilities);
+    // The profile list was requested before the version was known, under the app's command names
+    if (Object.keys(compatibility.commandNames).length) {
+        loadProfilesFromDevice();
+    }
+}
 
+function refreshDeviceViews() {
+    renderDeviceList();
+    renderDeviceSwitcher();
+    refreshAnalizeTargets();
+}
 
+/**
+ * Refreshes the tabs for the stand that just became active: its name, firmware, profiles and a clean Control tab
+ */
+function onActiveDeviceChanged() {
+    showActiveDeviceName();
+    resetActiveProfile();
+    resetControlTabUI();
+    resetProfilesTabUI();
+    loadProfilesFromDevice();
+    refreshDeviceViews();
+    updateControlsAvailability();
+}
 
+function onLinkLost(deviceId) {
+    // The motor may still be running on the stand; drop all local control state
+    if (deviceId === state.activeSessionId) {
+        resetControlTabUI();
+        updateControlsAvailability();
+    }
+}
+
+function onDisconnected(deviceId) {
+    const wasActive = !deviceId || deviceId === state.activeSessionId;
+    
+    // Call core disconnection handler
+    handleDisconnection(deviceId);
+    
+    if (wasActive && getActiveSession()) {
+        // Another stand took over; onActiveDeviceChanged already refreshed the tabs
+        return;
+    }
+    
+    if (wasActive) {
+        showActiveDeviceName();
+        resetActiveProfile(); // Clear active profile on disconnect
+        
+        // Reset UI for control and profiles tabs
+        resetControlTabUI();
+        resetProfilesTabUI();
+        
+        // Update button states
+        const disconnectButton = document.getElementById('disconnectButton');
+        if (disconnectButton) disconnectButton.disabled = true;
+    }
+    
+    refreshDeviceViews();
+    updateControlsAvailability();
+}
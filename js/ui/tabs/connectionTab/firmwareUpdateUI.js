@@ -0,0 +1,147 @@
+// Firmware update card (Connection tab): pick an image, check it against the active stand, send it
+import { state, getActiveSession } from '../../../state.js';
+import { appendLog } from '../../../utils/logUtils.js';
+import { vibrate } from '../../../utils/haptics.js';
+import { supportsCommand } from '../../../core/capabilities.js';
+import { subscribe, EVENTS } from '../../../core/eventBus.js';
+import { parseFirmwareImage } from '../../../utils/firmwareImage.js';
+import { checkFirmwareImage, updateFirmware } from '../../../core/firmwareUpdate.js';
+
+const STATUS_COLORS = { info: '', ok: '#28a745', warn: '#f39c12', error: '#dc3545' };
+const PHASE_LABELS = { transfer: 'Sending', verify: 'Verifying', reboot: 'Rebooting' };
+
+// Selected image file and the update in progress
+let selected = null;     // { name, bytes, image }
+let controller = null;   // AbortController of the running update
+let interrupted = false; // A transfer failed part way; sending the same file again resumes it
+
+export function initFirmwareUpdate() {
+    const input = document.getElementById('firmwareImageInput');
+    const startButton = document.getElementById('startFirmwareUpdateButton');
+    const cancelButton = document.getElementById('cancelFirmwareUpdateButton');
+    const downgradeCheckbox = document.getElementById('allowDowngradeCheckbox');
+
+    if (input) input.addEventListener('change', () => handleFileSelected(input.files && input.files[0]));
+    if (startButton) startButton.addEventListener('click', handleStart);
+    if (cancelButton) {
+        cancelButton.addEventListener('click', () => {
+            if (!controller) return;
+            vibrate(30);
+            controller.abort();
+            setUpdateStatus('Cancelling after the current chunk...', 'warn');
+        });
+    }
+    if (downgradeCheckbox) downgradeCheckbox.addEventListener('change', render);
+
+    [EVENTS.DEVICE_CONNECTED, EVENTS.DEVICE_RECONNECTED, EVENTS.ACTIVE_DEVICE_CHANGED, EVENTS.DEVICE_DISCONNECTED,
+        EVENTS.LINK_LOST, EVENTS.FIRMWARE_CHECKED].forEach(event => subscribe(event, render));
+
+    render();
+}
+
+async function handleFileSelected(file) {
+    selected = null;
+    interrupted = false;
+    if (!file) {
+        render();
+        return;
+    }
+    try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        selected = { name: file.name, bytes, image: parseFirmwareImage(bytes) };
+        setUpdateStatus('');
+    } catch (err) {
+        setUpdateStatus(`${file.name}: ${err.message}`, 'error');
+    }
+    render();
+}
+
+async function handleStart() {
+    const session = getActiveSession();
+    if (!session || !selected || controller) return;
+    const { image, bytes } = selected;
+    vibrate(50);
+
+    controller = new AbortController();
+    showProgress({ phase: 'transfer', offset: 0, size: image.size, resumedAt: 0 });
+    setUpdateStatus(`Updating ${session.name} to ${image.version}...`);
+    render();
+    try {
+        await updateFirmware(session, bytes, image, { onProgress: showProgress, signal: controller.signal });
+        interrupted = false;
+        setUpdateStatus(`${session.name} now runs ${image.version}.`, 'ok');
+    } catch (err) {
+        // After a cancel the stand has discarded the partial image
+        interrupted = !controller.signal.aborted;
+        setUpdateStatus(interrupted ? `${err.message} Update again to resume.` : err.message, 'error');
+        appendLog(`Firmware update of ${session.name}: ${err.message}`, 'error');
+    } finally {
+        controller = null;
+        render();
+    }
+}
+
+/**
+ * @param {import('../../../core/firmwareUpdate.js').UpdateProgress} progress
+ */
+function showProgress({ phase, offset, size, resumedAt }) {
+    const container = document.getElementById('firmwareUpdateProgress');
+    const fill = document.getElementById('firmwareUpdateProgressFill');
+    const text = document.getElementById('firmwareUpdateProgressText');
+    const percent = size ? Math.round((offset / size) * 100) : 0;
+
+    if (container) container.hidden = false;
+    if (fill) fill.style.width = `${percent}%`;
+    if (text) {
+        const resumed = resumedAt ? `, resumed at ${formatKiB(resumedAt)}` : '';
+        text.textContent = phase === 'transfer'
+            ? `${PHASE_LABELS[phase]} ${formatKiB(offset)} of ${formatKiB(size)} (${percent}%${resumed})`
+            : `${PHASE_LABELS[phase]}...`;
+    }
+}
+
+function formatKiB(bytes) {
+    return `${(bytes / 1024).toFixed(1)} KiB`;
+}
+
+function setUpdateStatus(message, level = 'info') {
+    const status = document.getElementById('firmwareUpdateStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.style.color = STATUS_COLORS[level];
+}
+
+function render() {
+    const session = getActiveSession();
+    const running = !!controller;
+    const downgradeCheckbox = document.getElementById('allowDowngradeCheckbox');
+    const allowDowngrade = !!(downgradeCheckbox && downgradeCheckbox.checked);
+    const check = session && selected ? checkFirmwareImage(session, selected.image, { allowDowngrade }) : null;
+
+    const info = document.getElementById('firmwareImageInfo');
+    if (info && !running) {
+        if (!selected) {
+            info.textContent = 'No image selected.';
+        } else {
+            const { image } = selected;
+            const lines = [`${selected.name}: firmware ${image.version}, ${formatKiB(image.size)}, hardware ${image.hardware || 'any'}.`];
+            if (check) lines.push(...check.problems, ...check.warnings);
+            info.textContent = lines.join(' ');
+            info.style.color = check && check.problems.length ? STATUS_COLORS.error
+                : check && check.warnings.length ? STATUS_COLORS.warn : '';
+        }
+    }
+
+    const ready = !!session && state.connected && !session.link.reconnectActive;
+    const startButton = document.getElementById('startFirmwareUpdateButton');
+    if (startButton) {
+        startButton.disabled = running || !ready || !check || check.problems.length > 0
+            || !supportsCommand(state.capabilities, 'ota_begin');
+        startButton.textContent = interrupted ? 'Resume' : 'Update';
+    }
+    const cancelButton = document.getElementById('cancelFirmwareUpdateButton');
+    if (cancelButton) cancelButton.disabled = !running;
+    const input = document.getElementById('firmwareImageInput');
+    if (input) input.disabled = running;
+    if (downgradeCheckbox) downgradeCheckbox.disabled = running;
+}
@@ -1,9 +1,12 @@
 // Control tab module
-import { sendCommand } from '../../../utils/bluetooth.js';
+import { sendCommand, getCommandQueueStats } from '../../../utils/bluetooth.js';
 import { vibrate, vibratePattern } from '../../../utils/haptics.js';
 import { appendLog } from '../../../utils/logUtils.js';
 import { state } from '../../../state.js';
-import { getCurrentActiveProfileName } from '../profileTab/profilesTab.js';
+import { getCurrentActiveProfileName, getCurrentActiveProfile } from '../profileTab/profilesTab.js';
+import { subscribe, EVENTS } from '../../../core/eventBus.js';
+import { deriveMetrics } from '../../../core/derivedMetrics.js';
+import { SAFETY_STAGE } from '../../../core/safetySupervisor.js';
 
 // ====================================================================================
 
@@ -85,9 +88,12 @@ export function updateControlsAvailability() {
 // Throttle state for slider
 let throttleSendTimeout = null;
 let lastThrottleValue = null;
-let isThrottleSending = false;
 let lastHapticValue = null;
 
+// Command queue stats refresh
+const QUEUE_STATS_INTERVAL_MS = 500;
+let queueStatsInterval = null;
+
 // Auto-disarm timeout - triggers if armed but not spinning
 let autoDisarmTimeout = null;
 let autoDisarmInProgress = false;
@@ -108,6 +114,11 @@ let lastVibrateProgress = 0; // Track progress for continuous vibration
 let fixedDisarmButton = null;
 let fixedDisarmContainer = null;
 
+// Dead-man mode: throttle above idle only while something holds it
+const DEAD_MAN_STORAGE_KEY = 'deadManThrottle';
+let deadManEnabled = loadDeadManEnabled();
+const deadManHolds = new Set(); // 'pointer' (on the slider) and/or 'key' (Space)
+
 export function initControlTab() {
     // (Reverted) No disabling logic for Control Actions card
     const slideToArm = document.getElementById('slideToArm');
@@ -121,8 +132,22 @@ export function initControlTab() {
     const runTestButton = document.getElementById('runTestButton');
     const stopTestButton = document.getElementById('stopTestButton');
 
-    // Set up callback for when control tab is opened
-    window.onControlTabOpen = onControlTabOpen;
+    subscribe(EVENTS.TAB_OPENED, ({ tab }) => {
+        if (tab === 'control') onControlTabOpen();
+    });
+    // Auto-disarm follows the stand these controls drive
+    subscribe(EVENTS.STATUS_CHANGED, ({ status, isActive }) => {
+        if (isActive) checkMotorStatus(status);
+    });
+    subscribe(EVENTS.TELEMETRY, ({ sample, session, isActive }) => {
+        if (isActive) renderDerivedMetrics(sample, session);
+    });
+    subscribe(EVENTS.SAFETY_STAGE_CHANGED, ({ stage, reason, isActive }) => {
+        if (isActive) onSafetyIntervention(stage, reason);
+    });
+    subscribe(EVENTS.WATCHDOG_TRIPPED, ({ reason, isActive }) => {
+        if (isActive) onWatchdogTripped(reason);
+    });
 
     // Slide to arm event listeners
     if (slideButton) {
@@ -139,7 +164,24 @@ export function initControlTab() {
     if (throttleSlider) {
         throttleSlider.addEventListener('input', handleThrottleInput);
         throttleSlider.addEventListener('change', handleThrottleChange);
+        throttleSlider.addEventListener('pointerdown', () => deadManHolds.add('pointer'));
+    }
+
+    // Dead-man hold: the slider under a finger or the mouse, or Space
+    const deadManCheckbox = document.getElementById('deadManCheckbox');
+    if (deadManCheckbox) {
+        deadManCheckbox.checked = deadManEnabled;
+        deadManCheckbox.addEventListener('change', handleDeadManChange);
     }
+    document.addEventListener('pointerup', () => releaseDeadMan('pointer'));
+    document.addEventListener('pointercancel', () => releaseDeadMan('pointer'));
+    document.addEventListener('keydown', handleDeadManKey);
+    document.addEventListener('keyup', handleDeadManKey);
+    // Neither the pointerup nor the keyup arrives once the window has lost focus
+    window.addEventListener('blur', () => {
+        releaseDeadMan('pointer');
+        releaseDeadMan('key');
+    });
     if (testModeSelect) testModeSelect.addEventListener('change', handleTestModeChange);
     if (testDurationInput) testDurationInput.addEventListener('change', handleTestDurationChange);
     if (runTestButton) runTestButton.addEventListener('click', handleRunTest);
@@ -151,6 +193,67 @@ export function initControlTab() {
     if (fixedDisarmButton) {
         fixedDisarmButton.addEventListener('click', handleDisarm);
     }
+
+    if (!queueStatsInterval) {
+        queueStatsInterval = setInterval(updateQueueStatsDisplay, QUEUE_STATS_INTERVAL_MS);
+    }
+}
+
+const DERIVED_METRIC_IDS = ['cellVoltageMetric', 'electricalPowerMetric', 'efficiencyMetric', 'tipSpeedMetric', 'energyMetric'];
+
+/**
+ * Shows the values computed from the active stand's sample and profile; '--' where an input is missing
+ */
+function renderDerivedMetrics(sample, session) {
+    const metrics = deriveMetrics(sample, getCurrentActiveProfile());
+    const { armedAt, wattHours, milliampHours } = session.energy.totals;
+    const setText = (id, text) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    };
+
+    if (metrics.battery) {
+        // Sag-compensated when the pack resistance is known
+        const { cellVoltage, soc, compensatedSoc } = metrics.battery;
+        const charge = compensatedSoc !== null ? `~${compensatedSoc.toFixed(0)}% at rest` : `${soc.toFixed(0)}%`;
+        setText('cellVoltageMetric', `${cellVoltage.toFixed(2)} V (${charge})`);
+    } else {
+        setText('cellVoltageMetric', metrics.cellVoltage !== null ? `${metrics.cellVoltage.toFixed(2)} V` : '--');
+    }
+    if (metrics.electricalPower !== null) {
+        const delta = metrics.powerDeltaPercent !== null
+            ? ` (reported ${metrics.powerDeltaPercent >= 0 ? '+' : ''}${metrics.powerDeltaPercent.toFixed(1)}%)`
+            : '';
+        setText('electricalPowerMetric', `${metrics.electricalPower.toFixed(1)} W${delta}`);
+    } else {
+        setText('electricalPowerMetric', '--');
+    }
+    setText('efficiencyMetric', metrics.efficiency !== null ? `${metrics.efficiency.toFixed(2)} g/W` : '--');
+    setText('tipSpeedMetric', metrics.tipSpeed !== null
+        ? `${metrics.tipSpeed.toFixed(0)} m/s (Mach ${metrics.tipMach.toFixed(2)})`
+        : '--');
+    setText('energyMetric', armedAt !== null
+        ? `${wattHours.toFixed(2)} Wh / ${milliampHours.toFixed(0)} mAh`
+        : '--');
+}
+
+/**
+ * Shows command queue depth and latency so a saturated link is visible
+ */
+function updateQueueStatsDisplay() {
+    const queueStatsEl = document.getElementById('commandQueueStats');
+    if (!queueStatsEl) return;
+
+    if (!state.connected) {
+        queueStatsEl.textContent = 'Command queue: --';
+        queueStatsEl.classList.remove('saturated');
+        return;
+    }
+
+    const stats = getCommandQueueStats();
+    const ms = value => value === null ? '--' : `${Math.round(value)} ms`;
+    queueStatsEl.textContent = `Command queue: ${stats.depth} queued, ${stats.inFlight} awaiting ACK | wait ${ms(stats.queueWaitMs)}, RTT ${ms(stats.roundTripMs)} | coalesced ${stats.coalesced}${stats.saturated ? ' | SATURATED' : ''}`;
+    queueStatsEl.classList.toggle('saturated', stats.saturated);
 }
 
 export function initStatusDotHandlers() {
@@ -339,7 +442,8 @@ export function checkMotorStatus(status) {
     console.log('checkMotorStatus - Armed:', isMotorArmed, 'Spinning:', isMotorSpinning, 'Status:', status);
     
     // If motor is armed but not spinning, start auto-disarm countdown
-    if (isMotorArmed && !isMotorSpinning) {
+    // (an Analize run drives the throttle itself and may hold it at idle between steps)
+    if (isMotorArmed && !isMotorSpinning && !state.analysis.running) {
         if (!autoDisarmTimeout && !autoDisarmInProgress) {
             console.log('Auto-disarm: Motor armed but not spinning, starting 2s countdown...');
             autoDisarmTimeout = setTimeout(() => {
@@ -352,7 +456,7 @@ export function checkMotorStatus(status) {
                 
                 console.log('Auto-disarm check after 2s - stillArmed:', stillArmed, 'stillNotSpinning:', stillNotSpinning);
                 
-                if (stillArmed && stillNotSpinning) {
+                if (stillArmed && stillNotSpinning && !state.analysis.running) {
                     appendLog('Auto-disarm: Motor armed but not spinning for 2 seconds.');
                     vibratePattern([150, 70, 150]); // Warning pattern
                     autoDisarmInProgress = true;
@@ -374,8 +478,119 @@ export function checkMotorStatus(status) {
     }
 }
 
+/**
+ * Moves the slider to the arm throttle the safety supervisor brings the motor to
+ */
+function onSafetyIntervention(stage, reason) {
+    if (stage !== SAFETY_STAGE.RAMP_DOWN && stage !== SAFETY_STAGE.DISARM) return;
+    resetThrottleSlider();
+    setControlStatus(stage === SAFETY_STAGE.DISARM
+        ? `Safety supervisor disarmed the motor: ${reason}.`
+        : `Safety supervisor is ramping down: ${reason}. Disarm to release the throttle.`, false);
+}
+
+/**
+ * The page was hidden or lost focus while armed; the control watchdog is stopping and disarming the stand
+ */
+function onWatchdogTripped(reason) {
+    resetThrottleSlider();
+    deadManHolds.clear();
+    resetSlideToArm();
+    setControlStatus(`Motor stopped and disarmed: ${reason}.`, false);
+}
+
+function idleThrottle() {
+    const profile = getCurrentActiveProfile();
+    return (profile && profile.armThrottle) || 48;
+}
+
+function throttlePercentage(value) {
+    return ((value - 48) / (2047 - 48) * 100).toFixed(2);
+}
+
+/**
+ * Drops a pending throttle update and moves the slider back to idle, without sending anything
+ * @returns {number} The idle throttle
+ */
+function resetThrottleSlider() {
+    if (throttleSendTimeout) {
+        clearTimeout(throttleSendTimeout);
+        throttleSendTimeout = null;
+    }
+    const idle = idleThrottle();
+    const throttleSlider = document.getElementById('throttleSlider');
+    const throttleValue = document.getElementById('throttleValue');
+    if (throttleSlider) throttleSlider.value = idle;
+    if (throttleValue) throttleValue.textContent = throttlePercentage(idle);
+    return idle;
+}
+
+/**
+ * Throttle above idle needs a dead-man hold, when the mode is on
+ */
+function isThrottleAllowed(value) {
+    return !deadManEnabled || deadManHolds.size > 0 || value <= idleThrottle();
+}
+
+function releaseDeadMan(source) {
+    if (!deadManHolds.delete(source) || deadManHolds.size || !deadManEnabled) return;
+    const throttleSlider = document.getElementById('throttleSlider');
+    if (!throttleSlider || Number(throttleSlider.value) <= idleThrottle()) return;
+    vibrate(40);
+    appendLog('Dead-man released: throttle back to idle.');
+    const idle = resetThrottleSlider();
+    sendThrottleCommand(idle, throttlePercentage(idle));
+}
+
+function handleDeadManKey(event) {
+    if (!deadManEnabled || event.code !== 'Space' || isTextEntry(event.target)) return;
+    event.preventDefault(); // Space would scroll the page or toggle the focused control
+    if (event.type === 'keydown') deadManHolds.add('key');
+    else releaseDeadMan('key');
+}
+
+/**
+ * Elements where Space types or activates something, so it is not a dead-man hold there
+ */
+function isTextEntry(target) {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable) return true;
+    if (target.tagName === 'INPUT') return target.type !== 'range';
+    return ['TEXTAREA', 'SELECT', 'BUTTON'].includes(target.tagName);
+}
+
+function handleDeadManChange(event) {
+    deadManEnabled = event.target.checked;
+    vibrate(40);
+    try {
+        localStorage.setItem(DEAD_MAN_STORAGE_KEY, JSON.stringify(deadManEnabled));
+    } catch (e) {}
+    appendLog(`Dead-man throttle ${deadManEnabled ? 'enabled' : 'disabled'}.`);
+    // A throttle that was set without a hold comes down at once
+    const throttleSlider = document.getElementById('throttleSlider');
+    if (deadManEnabled && throttleSlider && Number(throttleSlider.value) > idleThrottle()) {
+        const idle = resetThrottleSlider();
+        sendThrottleCommand(idle, throttlePercentage(idle));
+    }
+}
+
+function loadDeadManEnabled() {
+    try {
+        return JSON.parse(localStorage.getItem(DEAD_MAN_STORAGE_KEY) || 'false') === true;
+    } catch (e) {
+        return false;
+    }
+}
+
 async function handleDisarm() {
     vibrate(40); // Light vibration on button press
+
+    // Drop a debounced throttle update so nothing follows the disarm
+    if (throttleSendTimeout) {
+        clearTimeout(throttleSendTimeout);
+        throttleSendTimeout = null;
+    }
+
     try {
         await sendCommand('disarm');
         vibrate(80); // Medium vibration for disarm
@@ -430,6 +645,7 @@ export function resetControlTabUI() {
     // Reset throttle state
     lastThrottleValue = null;
     lastHapticValue = null;
+    deadManHolds.clear();
     
     // Clear auto-disarm timeout
     if (autoDisarmTimeout) {
@@ -441,7 +657,8 @@ export function resetControlTabUI() {
     // Reset telemetry values
     const telemetryMetrics = [
         'voltageMetric', 'currentMetric', 'powerMetric',
-        'rpmMetric', 'thrustMetric', 'escTempMetric', 'motorTempMetric'
+        'rpmMetric', 'thrustMetric', 'escTempMetric', 'motorTempMetric',
+        ...DERIVED_METRIC_IDS
     ];
     telemetryMetrics.forEach(id => {
         const element = document.getElementById(id);
@@ -483,6 +700,12 @@ async function handleThrottleInput() {
     const throttleSlider = document.getElementById('throttleSlider');
     const throttleValue = document.getElementById('throttleValue');
     const value = Number(throttleSlider.value);
+
+    if (!isThrottleAllowed(value)) {
+        resetThrottleSlider();
+        setControlStatus('Dead-man: hold the slider or Space to throttle up.', false);
+        return;
+    }
     
     // Convert raw value (48-2047) to percentage (0-100) with 2 decimals
     const percentage = ((value - 48) / (2047 - 48) * 100).toFixed(2);
@@ -525,13 +748,9 @@ async function handleThrottleChange() {
 }
 
 async function sendThrottleCommand(value, percentage) {
-    // Prevent concurrent sends
-    if (isThrottleSending) {
-        return;
-    }
-    
-    isThrottleSending = true;
-    
+    // The hold may have been let go after this was scheduled; the release sent idle
+    if (!isThrottleAllowed(value)) return;
+    // No send guard needed: the command queue keeps only the newest throttle setpoint
     try {
         await sendCommand('set_throttle', { value: value });
         setControlStatus(`Throttle set to ${percentage}% (${value}).`);
@@ -539,8 +758,6 @@ async function sendThrottleCommand(value, percentage) {
         vibratePattern([200]); // Long vibration for error
         setControlStatus(`Throttle update failed: ${error.message}`, false);
         appendLog(`Throttle error: ${error.message}`, 'error');
-    } finally {
-        isThrottleSending = false;
     }
 }
 
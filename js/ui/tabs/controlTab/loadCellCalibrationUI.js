@@ -0,0 +1,206 @@
+// Load cell calibration wizard (Control tab): tare and zero, reference masses, fit, write, history
+import { state, getActiveSession } from '../../../state.js';
+import { appendLog } from '../../../utils/logUtils.js';
+import { vibrate } from '../../../utils/haptics.js';
+import { supportsCommand } from '../../../core/capabilities.js';
+import { subscribe, EVENTS } from '../../../core/eventBus.js';
+import {
+    readScale,
+    tareLoadCell,
+    measureReferencePoint,
+    fitCalibration,
+    writeCalibration,
+    getCalibrationHistory
+} from '../../../core/loadCellCalibration.js';
+import { CALIBRATION_MAX_NONLINEARITY_PERCENT } from '../../../config/constants.js';
+
+const STATUS_COLORS = { info: '', ok: '#28a745', warn: '#f39c12', error: '#dc3545' };
+
+// Calibration in progress; it belongs to one stand and is dropped when another becomes active
+let wizard = createWizard();
+
+function createWizard(session = null) {
+    return { session, previousScale: null, points: [], fit: null, busy: false };
+}
+
+export function initLoadCellCalibration() {
+    const tareButton = document.getElementById('tareLoadCellButton');
+    const measureButton = document.getElementById('measureReferenceButton');
+    const writeButton = document.getElementById('writeCalibrationButton');
+    const resetButton = document.getElementById('resetCalibrationButton');
+
+    if (tareButton) tareButton.addEventListener('click', handleTare);
+    if (measureButton) measureButton.addEventListener('click', handleMeasure);
+    if (writeButton) writeButton.addEventListener('click', handleWrite);
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            vibrate(30);
+            resetWizard('Not started.');
+        });
+    }
+
+    const onConnectionChanged = () => {
+        const active = getActiveSession();
+        if (wizard.session && wizard.session !== active) {
+            resetWizard('Calibration cancelled: the stand changed.', 'warn');
+        } else {
+            render();
+        }
+    };
+    [EVENTS.DEVICE_CONNECTED, EVENTS.DEVICE_RECONNECTED, EVENTS.ACTIVE_DEVICE_CHANGED, EVENTS.DEVICE_DISCONNECTED]
+        .forEach(event => subscribe(event, onConnectionChanged));
+    subscribe(EVENTS.LINK_LOST, ({ session }) => {
+        if (wizard.session === session && wizard.points.length) {
+            resetWizard(`Calibration cancelled: link to ${session.name} lost.`, 'warn');
+        }
+    });
+
+    render();
+}
+
+function resetWizard(message, level = 'info') {
+    wizard = createWizard();
+    setCalibrationStatus(message, level);
+    render();
+}
+
+/**
+ * Runs one wizard step; errors end up in the status line and the log
+ */
+async function runStep(step) {
+    if (wizard.busy) return;
+    wizard.busy = true;
+    render();
+    try {
+        await step();
+    } catch (err) {
+        setCalibrationStatus(err.message, 'error');
+        appendLog(`Load cell calibration: ${err.message}`, 'error');
+    } finally {
+        wizard.busy = false;
+        render();
+    }
+}
+
+function handleTare() {
+    const session = getActiveSession();
+    if (!session) return;
+    vibrate(50);
+    runStep(async () => {
+        const run = wizard = { ...createWizard(session), busy: true };
+        setCalibrationStatus('Reading the scale factor...');
+        const previousScale = await readScale(session);
+        setCalibrationStatus('Taring...');
+        await tareLoadCell(session);
+        setCalibrationStatus('Measuring the zero...');
+        const zero = await measureReferencePoint(session, 0);
+        if (wizard !== run) return; // Cancelled meanwhile
+        run.previousScale = previousScale;
+        run.points = [zero];
+        setCalibrationStatus(`Tared. Zero reads ${formatGrams(zero.reading)}. Hang a reference mass and enter it.`, 'ok');
+    });
+}
+
+function handleMeasure() {
+    const input = document.getElementById('referenceMassInput');
+    const mass = input ? parseFloat(input.value) : NaN;
+    if (!(mass > 0)) {
+        setCalibrationStatus('Enter the reference mass in grams.', 'warn');
+        return;
+    }
+    vibrate(50);
+    runStep(async () => {
+        const run = wizard;
+        setCalibrationStatus(`Measuring ${mass} g...`);
+        const point = await measureReferencePoint(run.session, mass);
+        if (wizard !== run) return; // Cancelled meanwhile
+        run.points.push(point);
+        run.fit = null;
+        if (input) input.value = '';
+        run.fit = fitCalibration(run.previousScale, run.points);
+        setCalibrationStatus(describeFit(run.fit), run.fit.linear ? 'ok' : 'warn');
+    });
+}
+
+function handleWrite() {
+    if (!wizard.fit) return;
+    vibrate(50);
+    runStep(async () => {
+        const session = wizard.session;
+        const record = await writeCalibration(session, wizard.fit, wizard.points);
+        appendLog(`Load cell of ${session.name} calibrated: scale ${record.previousScale.toFixed(3)} -> ${record.scale.toFixed(3)} counts/g from ${record.points.length - 1} reference mass(es).`);
+        wizard = createWizard();
+        setCalibrationStatus(`Scale ${record.scale.toFixed(3)} counts/g written to ${session.name}.`, 'ok');
+    });
+}
+
+function describeFit(fit) {
+    const linearity = fit.nonlinearityPercent === null
+        ? 'linearity not checked (needs a second reference mass)'
+        : `non-linearity ${fit.nonlinearityPercent.toFixed(2)}% (limit ${CALIBRATION_MAX_NONLINEARITY_PERCENT}%)`;
+    const verdict = fit.linear ? 'Ready to write.' : 'Check the mounting and masses, then start over.';
+    return `Scale ${fit.previousScale.toFixed(3)} -> ${fit.scale.toFixed(3)} counts/g, zero offset ${formatGrams(fit.zeroOffset)}, ${linearity}. ${verdict}`;
+}
+
+function formatGrams(value) {
+    return `${value.toFixed(2)} g`;
+}
+
+function setCalibrationStatus(message, level = 'info') {
+    const status = document.getElementById('calibrationStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.style.color = STATUS_COLORS[level];
+}
+
+function render() {
+    const session = getActiveSession();
+    const capabilities = state.capabilities;
+    const ready = !!session && state.connected && !session.link.reconnectActive && !wizard.busy;
+    const started = wizard.points.length > 0;
+
+    const setDisabled = (id, disabled) => {
+        const element = document.getElementById(id);
+        if (element) element.disabled = disabled;
+    };
+    setDisabled('tareLoadCellButton', !ready || !supportsCommand(capabilities, 'tare') || !supportsCommand(capabilities, 'get_scale'));
+    setDisabled('referenceMassInput', !ready || !started);
+    setDisabled('measureReferenceButton', !ready || !started);
+    setDisabled('writeCalibrationButton', !ready || !wizard.fit || !wizard.fit.linear || !supportsCommand(capabilities, 'set_scale'));
+    setDisabled('resetCalibrationButton', wizard.busy);
+
+    renderPoints();
+    renderHistory(session);
+}
+
+function renderPoints() {
+    const list = document.getElementById('calibrationPointList');
+    if (!list) return;
+    list.innerHTML = '';
+    wizard.points.forEach(({ mass, reading, noise }) => {
+        const li = document.createElement('li');
+        li.textContent = `${mass === 0 ? 'Zero' : `${mass} g`}: reads ${formatGrams(reading)} (±${noise.toFixed(2)} g)`;
+        list.appendChild(li);
+    });
+}
+
+function renderHistory(session) {
+    const list = document.getElementById('calibrationHistoryList');
+    if (!list) return;
+    const history = session ? getCalibrationHistory(session.id).slice().reverse() : [];
+
+    list.innerHTML = '';
+    if (!history.length) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = session ? `No calibration of ${session.name} recorded.` : 'Connect a stand to see its calibrations.';
+        list.appendChild(empty);
+        return;
+    }
+    history.forEach((record) => {
+        const li = document.createElement('li');
+        const linearity = record.nonlinearityPercent === null ? 'linearity not checked' : `non-linearity ${record.nonlinearityPercent.toFixed(2)}%`;
+        li.textContent = `${new Date(record.time).toLocaleString()}: ${record.previousScale.toFixed(3)} -> ${record.scale.toFixed(3)} counts/g, ${record.points.length - 1} mass(es), ${linearity}${record.firmware ? `, firmware ${record.firmware}` : ''}`;
+        list.appendChild(li);
+    });
+}
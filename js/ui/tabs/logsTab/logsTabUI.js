@@ -1,6 +1,12 @@
 // Logs tab module
 import { vibrate } from '../../../utils/haptics.js';
 import { logFilters, updateLogDisplay } from '../../../utils/logUtils.js';   
+import { getActiveSession } from '../../../state.js';
+import { subscribe, EVENTS } from '../../../core/eventBus.js';
+import { isProblemTransition } from '../../../core/statusTimeline.js';
+import { renderStatusTimeline } from '../../statusTimelineView.js';
+
+const STATUS_TIMELINE_ROWS = 200;
 
 // ==================================================================================== //
 
@@ -52,4 +58,39 @@ export function initLogsTab() {
             updateLogDisplay();
         });
     }
+
+    initStatusTimeline();
+}
+
+function initStatusTimeline() {
+    const problemsOnlyCheckbox = document.getElementById('statusTimelineProblemsOnly');
+    if (problemsOnlyCheckbox) {
+        problemsOnlyCheckbox.addEventListener('change', () => {
+            vibrate(50);
+            renderActiveStatusTimeline();
+        });
+    }
+
+    subscribe(EVENTS.STATUS_CHANGED, ({ isActive }) => {
+        if (isActive) renderActiveStatusTimeline();
+    });
+    subscribe(EVENTS.ACTIVE_DEVICE_CHANGED, renderActiveStatusTimeline);
+    subscribe(EVENTS.DEVICE_DISCONNECTED, renderActiveStatusTimeline);
+    renderActiveStatusTimeline();
+}
+
+/**
+ * Shows the most recent transitions of the active stand
+ */
+function renderActiveStatusTimeline() {
+    const list = document.getElementById('statusTimelineList');
+    if (!list) return;
+    const session = getActiveSession();
+    const problemsOnly = document.getElementById('statusTimelineProblemsOnly')?.checked;
+
+    let transitions = session ? session.statusTimeline.toArray() : [];
+    if (problemsOnly) transitions = transitions.filter(isProblemTransition);
+    renderStatusTimeline(list, transitions.slice(-STATUS_TIMELINE_ROWS), {
+        emptyText: session ? 'No status changes recorded.' : 'Connect to a device to record status changes.'
+    });
 }
@@ -3,6 +3,8 @@ import { state } from '../../../state.js';
 import { sendCommand } from '../../../utils/bluetooth.js';
 import { vibrate, vibratePattern } from '../../../utils/haptics.js';
 import { appendLog } from '../../../utils/logUtils.js';
+import { subscribe, publish, EVENTS } from '../../../core/eventBus.js';
+import { getBatterySettings, saveBatterySettings, renameBatterySettings, deleteBatterySettings, DEFAULT_CHEMISTRY } from '../../../core/batteryModel.js';
 
 let currentProfile = null;
 let receivedProfiles = [];
@@ -24,6 +26,12 @@ export function getCurrentActiveProfile() {
 export function resetActiveProfile() {
     currentActiveProfileName = null;
     hasReceivedCurrentProfile = false;
+    publishActiveProfile();
+}
+
+// Lets the indicators scale to the limits of the profile the stand runs
+function publishActiveProfile() {
+    publish(EVENTS.ACTIVE_PROFILE_CHANGED, { profile: getCurrentActiveProfile() });
 }
 
 // Mark that current profile needs to be requested again
@@ -50,9 +58,21 @@ export function initProfilesTab() {
     removeProfileButton.addEventListener('click', removeProfile);
     downloadProfileButton.addEventListener('click', downloadProfile);
     cancelModifyButton.addEventListener('click', cancelModify);
+    document.getElementById('useMeasuredResistanceButton').addEventListener('click', useMeasuredResistance);
     
-    // Set up callback for when profiles tab is opened
-    window.onProfilesTabOpen = onProfilesTabOpen;
+    subscribe(EVENTS.TAB_OPENED, ({ tab }) => {
+        if (tab === 'profiles') onProfilesTabOpen();
+    });
+    // Profile messages of other stands are kept in their sessions but not shown
+    subscribe(EVENTS.PROFILE_LIST, ({ isActive }) => {
+        if (isActive) updateProfileList();
+    });
+    subscribe(EVENTS.PROFILE_RECEIVED, ({ profile, isActive }) => {
+        if (isActive) handleProfileMessage(profile);
+    });
+    subscribe(EVENTS.CURRENT_PROFILE, ({ name, isActive }) => {
+        if (isActive) handleCurrentProfileMessage(name);
+    });
     
     // Initialize profile display
     renderProfileList();
@@ -65,12 +85,13 @@ function onProfilesTabOpen() {
     }
 }
 
-async function loadProfilesFromDevice() {
+export async function loadProfilesFromDevice() {
     vibrate(30); // Light feedback for load action
     try {
         // Clear previous profiles
         receivedProfiles = [];
         renderProfileList();
+        publishActiveProfile();
         
         await sendCommand('get_profile_list');
         appendLog('Requesting profile list from device...');
@@ -91,7 +112,7 @@ async function loadProfilesFromDevice() {
     }
 }
 
-export function handleProfileMessage(profile) {
+function handleProfileMessage(profile) {
     // Convert device profile format to internal format
     const normalizedProfile = {
         profileName: profile.name,
@@ -107,7 +128,9 @@ export function handleProfileMessage(profile) {
         maxESCTemp: profile.escTempLim,
         maxMotorTemp: profile.mTempLim,
         maxCurrent: profile.curLim,
-        maxThrust: profile.thrustLim || 10.0
+        maxThrust: profile.thrustLim || 10.0,
+        // Not stored on the stand
+        ...getBatterySettings(state.activeSessionId, profile.name)
     };
     
     // Check if profile already exists (prevent duplicates)
@@ -129,15 +152,17 @@ export function handleProfileMessage(profile) {
     // Re-render the list
     renderProfileList();
     appendLog(`Profile "${profile.name}" received.`);
+    if (normalizedProfile.profileName === currentActiveProfileName) publishActiveProfile();
 }
 
-export function handleCurrentProfileMessage(profileName) {
+function handleCurrentProfileMessage(profileName) {
     currentActiveProfileName = profileName;
     hasReceivedCurrentProfile = true; // Mark as received
     console.log('Current active profile set to:', `"${currentActiveProfileName}"`);
     console.log('Available profiles:', receivedProfiles.map(p => `"${p.profileName}"`));
     appendLog(`Current active profile: "${profileName}"`);
     renderProfileList();
+    publishActiveProfile();
 }
 
 function renderProfileList() {
@@ -203,6 +228,10 @@ function showProfileDetails(profile) {
     document.getElementById('propPitch').value = profile.propPitch || '';
     document.getElementById('propBlades').value = profile.propBlades || 3;
     document.getElementById('batteryCellCount').value = profile.batteryCellCount || 0;
+    document.getElementById('batteryChemistry').value = profile.batteryChemistry || DEFAULT_CHEMISTRY;
+    document.getElementById('batteryInternalResistance').value = profile.batteryInternalResistance
+        ? (profile.batteryInternalResistance * 1000).toFixed(1)
+        : '';
     document.getElementById('motorPoles').value = profile.motorPoles || 14;
     document.getElementById('motorReverse').checked = profile.motorReverse || false;
     document.getElementById('armThrottle').value = profile.armThrottle || 48;
@@ -244,6 +273,9 @@ function toggleModifyMode() {
         }
     });
     
+    // The IR test result can only be taken over while editing
+    document.getElementById('useMeasuredResistanceButton').disabled = !isModifying || !(state.analysis.lastIR > 0);
+    
     // Toggle action button visibility
     if (isModifying) {
         profileActions.style.display = 'none';
@@ -289,13 +321,19 @@ async function saveProfile(e) {
     const existingProfiles = state.lastRxProfiles?.profiles || receivedProfiles;
     const profileExists = existingProfiles.some(p => p.profileName === enteredName);
     const isNewOrRenamed = !profileExists || (currentProfile.profileName !== enteredName);
+    const previousName = currentProfile.profileName;
+    const isRenamed = previousName !== enteredName && existingProfiles.some(p => p.profileName === previousName);
+    // The stand the form belongs to, even if another one is made active while the command is pending
+    const deviceId = state.activeSessionId;
     
     const command = isNewOrRenamed ? 'create_profile' : 'save_profile';
     
     try {
-        await sendCommand(command, profileData);
+        await sendCommand(command, profileData, { deviceId });
         vibratePattern([80, 40, 80]); // Success pattern for save
         appendLog(`Profile "${profileData.name}" ${isNewOrRenamed ? 'create' : 'save'} requested.`);
+        if (isRenamed) renameBatterySettings(deviceId, previousName, enteredName);
+        updateBatterySettings(deviceId, enteredName);
         
         // Mark that we need to refresh current profile info
         invalidateCurrentProfile();
@@ -312,6 +350,30 @@ async function saveProfile(e) {
     }
 }
 
+/**
+ * Stores the chemistry and pack resistance of the form with the profile and applies them right away
+ */
+function updateBatterySettings(deviceId, profileName) {
+    const resistanceMilliohm = parseFloat(document.getElementById('batteryInternalResistance').value);
+    saveBatterySettings(deviceId, profileName, {
+        chemistry: document.getElementById('batteryChemistry').value,
+        internalResistance: resistanceMilliohm > 0 ? resistanceMilliohm / 1000 : null
+    });
+    if (deviceId !== state.activeSessionId) return;
+    const known = receivedProfiles.find(p => p.profileName === profileName);
+    if (known) Object.assign(known, getBatterySettings(deviceId, profileName));
+    if (profileName === currentActiveProfileName) publishActiveProfile();
+}
+
+function useMeasuredResistance() {
+    const resistance = state.analysis.lastIR;
+    if (!(resistance > 0)) return;
+    vibrate(30);
+    document.getElementById('batteryInternalResistance').value = (resistance * 1000).toFixed(1);
+    const fit = state.analysis.lastIR_R2 !== null ? ` (R² ${state.analysis.lastIR_R2.toFixed(3)})` : '';
+    appendLog(`Pack resistance ${(resistance * 1000).toFixed(1)} mΩ taken from the last IR test${fit}.`);
+}
+
 function cancelModify() {
     vibrate(30); // Light feedback for cancel
     // Reset form to current profile values
@@ -352,8 +414,10 @@ async function removeProfile() {
         return;
     }
     
+    const deviceId = state.activeSessionId;
     try {
-        await sendCommand('delete_profile', { value: currentProfile.profileName });
+        await sendCommand('delete_profile', { value: currentProfile.profileName }, { deviceId });
+        deleteBatterySettings(deviceId, currentProfile.profileName);
         vibratePattern([100, 50, 100]); // Warning pattern for delete
         appendLog(`Profile "${currentProfile.profileName}" removal requested.`);
         
@@ -397,6 +461,8 @@ function addNewProfile() {
         propPitch: '',
         propBlades: 3,
         batteryCellCount: 0,
+        batteryChemistry: DEFAULT_CHEMISTRY,
+        batteryInternalResistance: null,
         motorPoles: 14,
         motorReverse: false,
         armThrottle: 48,
@@ -414,8 +480,8 @@ function addNewProfile() {
     toggleModifyMode();
 }
 
-// Export function to update profile list when new data arrives
-export function updateProfileList() {
+// Updates the profile list when new data arrives
+function updateProfileList() {
     renderProfileList();
 }
 
@@ -424,6 +490,7 @@ export function resetProfilesTabUI() {
     // Clear profile list
     receivedProfiles = [];
     currentProfile = null;
+    publishActiveProfile();
     
     // Re-render empty list
     renderProfileList();
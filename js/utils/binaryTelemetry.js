@@ -0,0 +1,96 @@
+// binaryTelemetry.js
+// Packed telemetry frames ('bin1'). One notification carries one frame:
+//
+//   byte 0      magic (TELEMETRY_BINARY_MAGIC)
+//   byte 1      format version
+//   byte 2      record count
+//   then count records of RECORD_SIZE bytes, little-endian:
+//     +0  uint16  seq          device sample counter (wraps)
+//     +2  uint32  timeMs       device uptime
+//     +6  uint32  status       status bitmask (see STATUS_BITS)
+//     +10 uint16  voltage      0.01 V
+//     +12 int16   current      0.01 A
+//     +14 uint32  rpm
+//     +18 int32   thrust       0.1 g
+//     +22 int16   escTemp      0.1 °C
+//     +24 int16   motorTemp    0.1 °C
+//
+// Decoded records are the same 'data' messages the JSON firmware sends. The frame has no power field;
+// it is left out, so it is filled in as V × I and flagged as such (see telemetrySchema.js).
+import { TELEMETRY_BINARY_MAGIC, TELEMETRY_BINARY_VERSION } from '../config/constants.js';
+
+const HEADER_SIZE = 3;
+const RECORD_SIZE = 26;
+
+/**
+ * @param {Uint8Array} bytes - Raw notification payload
+ */
+export function isBinaryTelemetryFrame(bytes) {
+    return bytes.length >= HEADER_SIZE && bytes[0] === TELEMETRY_BINARY_MAGIC;
+}
+
+/**
+ * Decodes a binary frame into 'data' messages
+ * @param {Uint8Array} bytes
+ * @returns {Object[]}
+ */
+export function decodeBinaryTelemetry(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint8(1);
+    if (version !== TELEMETRY_BINARY_VERSION) {
+        throw new Error(`Unsupported binary telemetry version ${version}`);
+    }
+    const count = view.getUint8(2);
+    if (bytes.length !== HEADER_SIZE + count * RECORD_SIZE) {
+        throw new Error(`Binary telemetry frame length ${bytes.length} does not match ${count} record(s)`);
+    }
+
+    const messages = [];
+    for (let i = 0; i < count; i++) {
+        const offset = HEADER_SIZE + i * RECORD_SIZE;
+        messages.push({
+            type: 'data',
+            seq: view.getUint16(offset, true),
+            deviceTime: view.getUint32(offset + 2, true),
+            status: view.getUint32(offset + 6, true),
+            voltage: view.getUint16(offset + 10, true) / 100,
+            current: view.getInt16(offset + 12, true) / 100,
+            rpm: view.getUint32(offset + 14, true),
+            thrust: view.getInt32(offset + 18, true) / 10,
+            escTemp: view.getInt16(offset + 22, true) / 10,
+            motorTemp: view.getInt16(offset + 24, true) / 10
+        });
+    }
+    return messages;
+}
+
+/**
+ * Encodes 'data' messages into one binary frame (used by the mock stand)
+ * @param {Object[]} records
+ * @returns {Uint8Array}
+ */
+export function encodeBinaryTelemetry(records) {
+    const bytes = new Uint8Array(HEADER_SIZE + records.length * RECORD_SIZE);
+    const view = new DataView(bytes.buffer);
+    view.setUint8(0, TELEMETRY_BINARY_MAGIC);
+    view.setUint8(1, TELEMETRY_BINARY_VERSION);
+    view.setUint8(2, records.length);
+
+    records.forEach((record, i) => {
+        const offset = HEADER_SIZE + i * RECORD_SIZE;
+        view.setUint16(offset, (record.seq || 0) & 0xFFFF, true);
+        view.setUint32(offset + 2, (record.deviceTime || 0) >>> 0, true);
+        view.setUint32(offset + 6, (record.status || 0) >>> 0, true);
+        view.setUint16(offset + 10, clampScaled(record.voltage, 100, 0, 0xFFFF), true);
+        view.setInt16(offset + 12, clampScaled(record.current, 100, -0x8000, 0x7FFF), true);
+        view.setUint32(offset + 14, clampScaled(record.rpm, 1, 0, 0xFFFFFFFF), true);
+        view.setInt32(offset + 18, clampScaled(record.thrust, 10, -0x80000000, 0x7FFFFFFF), true);
+        view.setInt16(offset + 22, clampScaled(record.escTemp, 10, -0x8000, 0x7FFF), true);
+        view.setInt16(offset + 24, clampScaled(record.motorTemp, 10, -0x8000, 0x7FFF), true);
+    });
+    return bytes;
+}
+
+function clampScaled(value, scale, min, max) {
+    return Math.max(min, Math.min(max, Math.round((Number(value) || 0) * scale)));
+}
@@ -1,63 +1,407 @@
 // Bluetooth communication module
-import { encoder } from '../config/constants.js';
-import { getCommandCharacteristic } from '../state.js';
+import { COMMAND_ACK_TIMEOUT_MS, COMMAND_MAX_RETRIES, COMMAND_SPACING_MS, EMERGENCY_COMMANDS, STREAMING_COMMANDS, QUEUE_SATURATION_DEPTH, QUEUE_SATURATION_WAIT_MS } from '../config/constants.js';
+import { getSession, getActiveSession } from '../state.js';
 import { appendLog } from './logUtils.js';
+import { getCommandRefusal } from '../core/firmwareCompatibility.js';
 
 // ==================================================================================================== //
 
 
-// Command queue to prevent concurrent GATT operations
-let commandQueue = [];
-let isProcessingQueue = false;
-
-async function processCommandQueue() {
-    if (isProcessingQueue || commandQueue.length === 0) {
-        return;
-    }
-    
-    isProcessingQueue = true;
-    
-    while (commandQueue.length > 0) {
-        const { command, resolve, reject } = commandQueue.shift();
-        
-        try {
-            const commandCharacteristic = getCommandCharacteristic();
-            if (!commandCharacteristic) {
-                throw new Error('Not connected or command characteristic not available.');
+// Command priorities: emergency entries are written before anything else in the queue
+export const COMMAND_PRIORITY = {
+    EMERGENCY: 'emergency',
+    NORMAL: 'normal'
+};
+
+const LATENCY_SMOOTHING = 0.2;
+
+function smooth(previous, sample) {
+    return previous === null ? sample : previous + (sample - previous) * LATENCY_SMOOTHING;
+}
+
+/**
+ * Creates the command channel of one device session: its own queue, sequence ids, ACK tracking and stats.
+ * @param {import('../core/transports/transport.js').Transport} transport - Link the commands are written to
+ * @param {Function} getLabel - Optional, returns a device label for TX log lines (null for none)
+ * @param {Function} getDeviceName - Optional, maps a command name to the one the firmware uses
+ * @returns {{ send: Function, handleAck: Function, clear: Function, getStats: Function }}
+ */
+export function createCommandChannel(transport, getLabel = null, getDeviceName = null) {
+    // Command queue to prevent concurrent writes on the transport
+    let commandQueue = [];
+    let isProcessingQueue = false;
+
+    // Wakes the queue from the inter-command delay when an emergency command arrives
+    let wakeQueue = null;
+
+    // Queue statistics (latencies are exponential moving averages)
+    const queueStats = {
+        queueWaitMs: null,      // Enqueue -> written
+        roundTripMs: null,      // Written -> ACK
+        coalesced: 0,           // Stale streaming commands replaced by a newer one
+        saturated: false
+    };
+
+    // Commands written to the device and waiting for their ACK, keyed by sequence id
+    const pendingAcks = new Map();
+    let nextSeq = 1;
+
+    function nextSequenceId() {
+        const seq = nextSeq;
+        nextSeq = nextSeq >= 0xFFFF ? 1 : nextSeq + 1;
+        return seq;
+    }
+
+    async function processCommandQueue() {
+        if (isProcessingQueue || commandQueue.length === 0) {
+            return;
+        }
+
+        isProcessingQueue = true;
+
+        while (commandQueue.length > 0) {
+            const entry = commandQueue.shift();
+            const { command } = entry;
+
+            try {
+                if (!transport.isConnected()) {
+                    throw new Error('Not connected to a device.');
+                }
+
+                entry.writtenAt = Date.now();
+                queueStats.queueWaitMs = smooth(queueStats.queueWaitMs, entry.writtenAt - entry.queuedAt);
+                updateSaturation();
+
+                // Queueing, coalescing and ACK matching use the app's name; only the wire carries the firmware's
+                const jsonString = JSON.stringify(getDeviceName ? { ...command, cmd: getDeviceName(command.cmd) } : command);
+                const label = getLabel ? getLabel() : null;
+                const prefix = label ? `TX: [${label}] ` : 'TX: ';
+                if (!entry.quiet) {
+                    appendLog(entry.attempt > 0 ? `${prefix}${jsonString} (retry ${entry.attempt})` : `${prefix}${jsonString}`);
+                }
+                await transport.send(jsonString, { withoutResponse: entry.withoutResponse });
+
+                if (entry.awaitAck) {
+                    startAckTimer(entry);
+                } else {
+                    entry.resolve();
+                }
+
+                // Add delay between commands to prevent GATT conflicts on BLE links.
+                // Emergency commands cut the delay short.
+                await waitCommandSpacing();
+            } catch (error) {
+                pendingAcks.delete(command.seq);
+                entry.reject(error);
             }
-            
-            const jsonString = JSON.stringify(command);
-            appendLog(`TX: ${jsonString}`);
-            const encoded = encoder.encode(jsonString);
-            
-            await commandCharacteristic.writeValue(encoded);
-            
-            // Add delay between commands to prevent GATT conflicts
-            await new Promise(resolve => setTimeout(resolve, 100));
-            
-            resolve();
-        } catch (error) {
+        }
+
+        isProcessingQueue = false;
+    }
+
+    function waitCommandSpacing() {
+        if (commandQueue.length && commandQueue[0].priority === COMMAND_PRIORITY.EMERGENCY) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            const timer = setTimeout(done, COMMAND_SPACING_MS);
+            function done() {
+                clearTimeout(timer);
+                wakeQueue = null;
+                resolve();
+            }
+            wakeQueue = done;
+        });
+    }
+
+    /**
+     * Adds an entry to the queue, emergency entries ahead of all normal traffic
+     */
+    function enqueue(entry) {
+        entry.queuedAt = Date.now();
+        if (STREAMING_COMMANDS.includes(entry.command.cmd) && !coalesceStreamingCommand(entry)) {
+            return;
+        }
+        updateSaturation();
+
+        if (entry.priority !== COMMAND_PRIORITY.EMERGENCY) {
+            commandQueue.push(entry);
+            return;
+        }
+        const firstNormal = commandQueue.findIndex(e => e.priority !== COMMAND_PRIORITY.EMERGENCY);
+        if (firstNormal === -1) commandQueue.push(entry);
+        else commandQueue.splice(firstNormal, 0, entry);
+        if (wakeQueue) wakeQueue();
+    }
+
+    /**
+     * Keeps only the newest setpoint of a streaming command. Older queued entries are dropped and
+     * their callers settle together with the newest one; a retry of a setpoint that has already been
+     * superseded is folded into the newer entry instead of being re-sent.
+     * @returns {boolean} Whether the entry should still be queued
+     */
+    function coalesceStreamingCommand(entry) {
+        const sameCommand = e => e !== entry && e.command.cmd === entry.command.cmd;
+
+        const newer = [...commandQueue, ...pendingAcks.values()].find(e => sameCommand(e) && e.createdAt > entry.createdAt);
+        if (newer) {
+            settleTogether(newer, [entry]);
+            return false;
+        }
+
+        const stale = commandQueue.filter(sameCommand);
+        if (stale.length) {
+            commandQueue = commandQueue.filter(e => !stale.includes(e));
+            settleTogether(entry, stale);
+        }
+        return true;
+    }
+
+    function settleTogether(target, dropped) {
+        dropped.forEach((e) => {
+            clearTimeout(e.timer);
+            pendingAcks.delete(e.command.seq);
+        });
+        queueStats.coalesced += dropped.length;
+
+        const { resolve, reject } = target;
+        target.resolve = (value) => {
+            resolve(value);
+            dropped.forEach(e => e.resolve(value));
+        };
+        target.reject = (error) => {
             reject(error);
+            dropped.forEach(e => e.reject(error));
+        };
+    }
+
+    function updateSaturation() {
+        const saturated = commandQueue.length >= QUEUE_SATURATION_DEPTH
+            || (queueStats.queueWaitMs !== null && queueStats.queueWaitMs >= QUEUE_SATURATION_WAIT_MS);
+        if (saturated && !queueStats.saturated) {
+            appendLog(`Warning: command link saturated (${commandQueue.length} queued, ~${Math.round(queueStats.queueWaitMs || 0)} ms wait)`, 'warning');
         }
+        queueStats.saturated = saturated;
     }
-    
-    isProcessingQueue = false;
-}
 
-export async function sendCommand(cmd, additionalData = {}) {
-    return new Promise((resolve, reject) => {
-        const command = {
-            cmd,
-            ...additionalData,
-            timestamp: Date.now()
+    /**
+     * Returns a snapshot of the command queue for display
+     * @returns {{ depth: number, inFlight: number, queueWaitMs: number|null, roundTripMs: number|null, coalesced: number, saturated: boolean }}
+     */
+    function getStats() {
+        return {
+            depth: commandQueue.length,
+            inFlight: [...pendingAcks.values()].filter(e => e.writtenAt).length,
+            queueWaitMs: queueStats.queueWaitMs,
+            roundTripMs: queueStats.roundTripMs,
+            coalesced: queueStats.coalesced,
+            saturated: queueStats.saturated
         };
-        
-        commandQueue.push({ command, resolve, reject });
-        processCommandQueue();
-    });
+    }
+
+    /**
+     * Rejects streaming commands (throttle) that are queued or waiting for a retry,
+     * so none of them reach the device after an emergency command
+     */
+    function flushStreamingCommands(reason) {
+        const error = new Error(reason);
+        const flushed = new Set();
+        commandQueue = commandQueue.filter((entry) => {
+            if (!STREAMING_COMMANDS.includes(entry.command.cmd)) return true;
+            flushed.add(entry);
+            return false;
+        });
+        pendingAcks.forEach((entry) => {
+            if (STREAMING_COMMANDS.includes(entry.command.cmd)) flushed.add(entry);
+        });
+        flushed.forEach((entry) => {
+            clearTimeout(entry.timer);
+            pendingAcks.delete(entry.command.seq);
+            entry.reject(error);
+        });
+        if (flushed.size) {
+            appendLog(`Flushed ${flushed.size} pending throttle command(s).`, 'warning');
+        }
+    }
+
+    /**
+     * Starts the ACK timeout for a written command; re-queues it (same seq) until retries run out
+     */
+    function startAckTimer(entry) {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            if (!pendingAcks.has(entry.command.seq)) return;
+
+            if (entry.attempt < entry.retries) {
+                entry.attempt++;
+                appendLog(`Warning: no ACK for "${entry.command.cmd}" (seq ${entry.command.seq}), retrying (${entry.attempt}/${entry.retries})`, 'warning');
+                enqueue(entry);
+                processCommandQueue();
+                return;
+            }
+
+            pendingAcks.delete(entry.command.seq);
+            entry.reject(new Error(`No ACK for "${entry.command.cmd}" after ${entry.attempt + 1} attempt(s)`));
+        }, entry.timeout);
+    }
+
+    /**
+     * Queues a command for the device.
+     * The returned promise resolves when the device ACKs the command's sequence id and
+     * rejects on NACK, on write failure, or once the ACK timeout has expired on every retry.
+     *
+     * Emergency commands (EMERGENCY_COMMANDS, or priority: 'emergency') jump the queue and
+     * flush pending throttle writes. A write already in flight on the link still completes first.
+     * @param {string} cmd - Command name
+     * @param {Object} additionalData - Extra fields merged into the command
+     * @param {Object} options - { timeout, retries, ack, priority, withoutResponse, quiet } - pass ack: false to resolve
+     *        once written, quiet: true to leave the write out of the log (periodic traffic such as heartbeats)
+     * @returns {Promise<Object|undefined>} The ACK message, or undefined for unacknowledged commands
+     */
+    async function send(cmd, additionalData = {}, options = {}) {
+        const {
+            timeout = COMMAND_ACK_TIMEOUT_MS,
+            retries = COMMAND_MAX_RETRIES,
+            ack = true,
+            priority = EMERGENCY_COMMANDS.includes(cmd) ? COMMAND_PRIORITY.EMERGENCY : COMMAND_PRIORITY.NORMAL,
+            withoutResponse = STREAMING_COMMANDS.includes(cmd),
+            quiet = false
+        } = options;
+
+        if (priority === COMMAND_PRIORITY.EMERGENCY) {
+            flushStreamingCommands(`Throttle command superseded by "${cmd}".`);
+        }
+
+        return new Promise((resolve, reject) => {
+            const command = {
+                cmd,
+                ...additionalData,
+                seq: nextSequenceId(),
+                timestamp: Date.now()
+            };
+
+            const entry = { command, createdAt: Date.now(), resolve, reject, awaitAck: ack, timeout, retries, attempt: 0, timer: null, priority, withoutResponse, quiet };
+            if (ack) {
+                pendingAcks.set(command.seq, entry);
+            }
+
+            enqueue(entry);
+            processCommandQueue();
+        });
+    }
+
+    /**
+     * Settles the pending command matching an ACK/NACK message.
+     * Messages without a seq (older firmware) match the oldest pending command of the same name.
+     * @param {Object} msg - Parsed 'ack' or 'nack' message
+     * @returns {Object|null} The settled command, or null if nothing was waiting for it
+     */
+    function handleAck(msg) {
+        let entry = null;
+        if (msg.seq !== undefined) {
+            entry = pendingAcks.get(Number(msg.seq)) || null;
+        } else if (msg.command) {
+            entry = [...pendingAcks.values()].find(e => e.command.cmd === msg.command
+                || (getDeviceName && getDeviceName(e.command.cmd) === msg.command)) || null;
+        }
+        if (!entry) return null;
+
+        clearTimeout(entry.timer);
+        pendingAcks.delete(entry.command.seq);
+        if (entry.writtenAt) {
+            queueStats.roundTripMs = smooth(queueStats.roundTripMs, Date.now() - entry.writtenAt);
+        }
+        // Drop a queued retry of the same command, it is no longer needed
+        commandQueue = commandQueue.filter(e => e !== entry);
+
+        if (isNack(msg)) {
+            const reason = msg.error || msg.reason || 'rejected';
+            entry.reject(new Error(`Device rejected "${entry.command.cmd}": ${reason}`));
+        } else {
+            entry.resolve(msg);
+        }
+        return entry.command;
+    }
+
+    function clear() {
+        const error = new Error('Connection closed before the command was acknowledged.');
+        pendingAcks.forEach((entry) => {
+            clearTimeout(entry.timer);
+            entry.reject(error);
+        });
+        pendingAcks.clear();
+        commandQueue.forEach((entry) => {
+            if (!entry.awaitAck) entry.reject(error);
+        });
+        commandQueue = [];
+        isProcessingQueue = false;
+        if (wakeQueue) wakeQueue();
+        queueStats.queueWaitMs = null;
+        queueStats.roundTripMs = null;
+        queueStats.saturated = false;
+    }
+
+    return { send, handleAck, clear, getStats };
+}
+
+/**
+ * Whether an acknowledgment message refuses its command. An empty error field (some firmware
+ * always sends one) does not.
+ * @param {Object} msg - Parsed 'ack' or 'nack' message
+ */
+export function isNack(msg) {
+    return String(msg.type || '').toLowerCase() === 'nack' || msg.ok === false || !!msg.error;
 }
 
-export function clearCommandQueue() {
-    commandQueue = [];
-    isProcessingQueue = false;
+// Session -> newest set_throttle request, so that only it updates safety.lastThrottle
+const latestThrottleRequests = new WeakMap();
+
+function resolveSession(deviceId) {
+    return deviceId ? getSession(deviceId) : getActiveSession();
+}
+
+/**
+ * Queues a command for a device session (the active one unless options.deviceId says otherwise).
+ * See the channel's send() for ACK, retry and priority semantics.
+ * @param {string} cmd - Command name
+ * @param {Object} additionalData - Extra fields merged into the command
+ * @param {Object} options - { deviceId, timeout, retries, ack, priority, withoutResponse, quiet }
+ * @returns {Promise<Object|undefined>} The ACK message, or undefined for unacknowledged commands
+ */
+export async function sendCommand(cmd, additionalData = {}, options = {}) {
+    const session = resolveSession(options.deviceId);
+    if (!session || !session.commands) {
+        throw new Error('Not connected to a device.');
+    }
+    // Refused up front instead of being ignored by firmware that does not know the command
+    const refusal = getCommandRefusal(session, cmd);
+    if (refusal) {
+        throw new Error(refusal);
+    }
+    if (cmd !== 'set_throttle') {
+        return session.commands.send(cmd, additionalData, options);
+    }
+    // Held down by the safety supervisor until the motor is disarmed (see core/safetySupervisor.js)
+    const { throttleCeiling, reason } = session.safety;
+    const value = Number(additionalData.value);
+    if (throttleCeiling !== null && value > throttleCeiling) {
+        throw new Error(`Throttle of ${session.name} is held at ${throttleCeiling} by the safety supervisor (${reason}); disarm to release it.`);
+    }
+    const request = { value };
+    latestThrottleRequests.set(session, request);
+    const result = await session.commands.send(cmd, additionalData, options);
+    // Only a setpoint the stand took counts; coalesced ones resolve along with the newer one that replaced them
+    if (latestThrottleRequests.get(session) === request) session.safety.lastThrottle = value;
+    return result;
+}
+
+/**
+ * Returns the queue snapshot of a device session (the active one by default)
+ */
+export function getCommandQueueStats(deviceId = null) {
+    const session = resolveSession(deviceId);
+    if (!session || !session.commands) {
+        return { depth: 0, inFlight: 0, queueWaitMs: null, roundTripMs: null, coalesced: 0, saturated: false };
+    }
+    return session.commands.getStats();
 }
@@ -0,0 +1,94 @@
+// firmwareImage.js
+// Firmware image files for updates over the air. An image is a 32-byte header followed by the
+// firmware binary; the whole file is transferred and the stand checks the header again.
+//
+//   +0   4 bytes   magic "UAVF"
+//   +4   uint8     header format version (FIRMWARE_IMAGE_FORMAT)
+//   +5   uint8     header size (32)
+//   +6   uint16    reserved, 0
+//   +8   uint8     version major
+//   +9   uint8     version minor
+//   +10  uint16    version patch
+//   +12  uint32    payload size, bytes
+//   +16  uint32    payload CRC-32
+//   +20  char[12]  hardware revision the image is built for, NUL-padded (empty: any)
+//
+// Little-endian throughout.
+import { encoder, decoder, OTA_MAX_IMAGE_BYTES } from '../config/constants.js';
+import { crc32 } from './crc32.js';
+
+const FIRMWARE_IMAGE_MAGIC = 'UAVF';
+const FIRMWARE_IMAGE_FORMAT = 1;
+const HEADER_SIZE = 32;
+const HARDWARE_FIELD_SIZE = 12;
+
+/**
+ * @typedef {Object} FirmwareImage
+ * @property {string} version - "major.minor.patch"
+ * @property {string|null} hardware - Hardware revision the image is for, null for any
+ * @property {number} size - Whole file, bytes (what is transferred)
+ * @property {number} crc - CRC-32 of the whole file
+ * @property {number} payloadSize
+ */
+
+/**
+ * Validates an image file and reads its header
+ * @param {Uint8Array} bytes - Whole file
+ * @returns {FirmwareImage}
+ */
+export function parseFirmwareImage(bytes) {
+    if (bytes.length < HEADER_SIZE) {
+        throw new Error('File is too short to be a firmware image.');
+    }
+    if (bytes.length > OTA_MAX_IMAGE_BYTES) {
+        throw new Error(`Image is larger than ${OTA_MAX_IMAGE_BYTES / 1024} KiB.`);
+    }
+    if (decoder.decode(bytes.subarray(0, 4)) !== FIRMWARE_IMAGE_MAGIC) {
+        throw new Error('Not a firmware image (missing UAVF header).');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const format = view.getUint8(4);
+    if (format !== FIRMWARE_IMAGE_FORMAT || view.getUint8(5) !== HEADER_SIZE) {
+        throw new Error(`Unsupported firmware image format ${format}.`);
+    }
+    const payloadSize = view.getUint32(12, true);
+    if (bytes.length !== HEADER_SIZE + payloadSize) {
+        throw new Error(`Image is ${bytes.length} bytes, its header announces ${HEADER_SIZE + payloadSize}; the file is truncated or corrupt.`);
+    }
+    if (crc32(bytes.subarray(HEADER_SIZE)) !== view.getUint32(16, true)) {
+        throw new Error('Image checksum does not match; the file is corrupt.');
+    }
+
+    const hardware = decoder.decode(bytes.subarray(20, 20 + HARDWARE_FIELD_SIZE)).replace(/\0+$/, '');
+    return {
+        version: `${view.getUint8(8)}.${view.getUint8(9)}.${view.getUint16(10, true)}`,
+        hardware: hardware || null,
+        size: bytes.length,
+        crc: crc32(bytes),
+        payloadSize
+    };
+}
+
+/**
+ * Builds an image file (for the mock stand and test images)
+ * @param {Uint8Array} payload - Firmware binary
+ * @param {{ version: string, hardware?: string }} options
+ * @returns {Uint8Array}
+ */
+export function encodeFirmwareImage(payload, { version, hardware = '' }) {
+    const [major = 0, minor = 0, patch = 0] = String(version).split('.').map(n => parseInt(n, 10) || 0);
+    const bytes = new Uint8Array(HEADER_SIZE + payload.length);
+    const view = new DataView(bytes.buffer);
+    bytes.set(encoder.encode(FIRMWARE_IMAGE_MAGIC), 0);
+    view.setUint8(4, FIRMWARE_IMAGE_FORMAT);
+    view.setUint8(5, HEADER_SIZE);
+    view.setUint8(8, major);
+    view.setUint8(9, minor);
+    view.setUint16(10, patch, true);
+    view.setUint32(12, payload.length, true);
+    view.setUint32(16, crc32(payload), true);
+    bytes.set(encoder.encode(hardware).subarray(0, HARDWARE_FIELD_SIZE), 20);
+    bytes.set(payload, HEADER_SIZE);
+    return bytes;
+}
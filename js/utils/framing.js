@@ -0,0 +1,76 @@
+// framing.js
+// Message framing for the NUS link: reassembles fragmented notifications and
+// splits long outgoing messages into write-sized chunks.
+import { encoder, FRAME_DELIMITER, MAX_FRAME_LENGTH, BLE_MAX_WRITE_BYTES } from '../config/constants.js';
+
+/**
+ * Creates a framer that buffers incoming chunks and emits complete messages.
+ * Messages are terminated by FRAME_DELIMITER. A buffer holding a complete JSON
+ * document without a delimiter is also emitted, so unframed (older) firmware keeps working.
+ * @param {Function} onMessage - Called with each complete message string
+ * @param {Function} onOverflow - Called with the dropped text when a frame exceeds MAX_FRAME_LENGTH
+ * @returns {{ push: Function, reset: Function, isEmpty: Function }}
+ */
+export function createMessageFramer(onMessage, onOverflow = null) {
+    // Streaming decoder so multi-byte characters split across notifications survive
+    let textDecoder = new TextDecoder();
+    let buffer = '';
+
+    function push(value) {
+        buffer += textDecoder.decode(value, { stream: true });
+
+        let index;
+        while ((index = buffer.indexOf(FRAME_DELIMITER)) !== -1) {
+            const frame = buffer.slice(0, index).trim();
+            buffer = buffer.slice(index + FRAME_DELIMITER.length);
+            if (frame) onMessage(frame);
+        }
+
+        const pending = buffer.trim();
+        if (pending && isCompleteJson(pending)) {
+            buffer = '';
+            onMessage(pending);
+        } else if (buffer.length > MAX_FRAME_LENGTH) {
+            const dropped = buffer;
+            buffer = '';
+            if (onOverflow) onOverflow(dropped);
+        }
+    }
+
+    function reset() {
+        textDecoder = new TextDecoder();
+        buffer = '';
+    }
+
+    // True when no partial text frame is buffered (a binary frame may start here)
+    function isEmpty() {
+        return buffer === '';
+    }
+
+    return { push, reset, isEmpty };
+}
+
+/**
+ * Encodes a message with its delimiter and splits it into chunks for the RX characteristic
+ * @param {string} message - Message text (without delimiter)
+ * @param {number} chunkSize - Maximum bytes per write
+ * @returns {Uint8Array[]}
+ */
+export function encodeFramedChunks(message, chunkSize = BLE_MAX_WRITE_BYTES) {
+    const bytes = encoder.encode(message + FRAME_DELIMITER);
+    const chunks = [];
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+        chunks.push(bytes.subarray(offset, offset + chunkSize));
+    }
+    return chunks;
+}
+
+function isCompleteJson(text) {
+    if (text[0] !== '{' || text[text.length - 1] !== '}') return false;
+    try {
+        JSON.parse(text);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
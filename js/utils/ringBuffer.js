@@ -0,0 +1,65 @@
+// ringBuffer.js
+// Fixed-size FIFO that overwrites its oldest entries. Readers keep a cursor (the running count of
+// pushed items) so they can pick up exactly where they left off and notice entries they missed.
+
+/**
+ * @param {number} capacity - Maximum number of entries kept
+ * @returns {{ push: Function, readSince: Function, latest: Function, toArray: Function, clear: Function, cursor: number, size: number }}
+ */
+export function createRingBuffer(capacity) {
+    const items = new Array(capacity);
+    let written = 0;
+    let floor = 0;  // Entries below this index were cleared
+
+    function push(item) {
+        items[written % capacity] = item;
+        written++;
+    }
+
+    /**
+     * Entries pushed after the given cursor, oldest first
+     * @param {number} cursor - Value of .cursor from an earlier read
+     * @returns {{ items: Array, cursor: number, dropped: number }} dropped counts entries overwritten before they were read
+     */
+    function readSince(cursor) {
+        const oldest = Math.max(floor, written - capacity);
+        const start = Math.max(cursor, oldest);
+        const result = [];
+        for (let i = start; i < written; i++) {
+            result.push(items[i % capacity]);
+        }
+        // Cleared entries are not reported as dropped
+        const dropped = Math.max(0, start - Math.max(cursor, floor));
+        return { items: result, cursor: written, dropped };
+    }
+
+    function latest() {
+        return written > floor ? items[(written - 1) % capacity] : null;
+    }
+
+    function toArray() {
+        return readSince(0).items;
+    }
+
+    /**
+     * Empties the buffer; cursors stay valid
+     */
+    function clear() {
+        items.fill(undefined);
+        floor = written;
+    }
+
+    return {
+        push,
+        readSince,
+        latest,
+        toArray,
+        clear,
+        get cursor() {
+            return written;
+        },
+        get size() {
+            return Math.min(written - floor, capacity);
+        }
+    };
+}
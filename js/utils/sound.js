@@ -0,0 +1,46 @@
+// sound.js
+// Short tone patterns (Web Audio) for alarms
+
+let audioContext = null;
+
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    if (!audioContext) audioContext = new AudioContextClass();
+    return audioContext;
+}
+
+/**
+ * Browsers only start audio after a user gesture; call this from one so later alarms can sound.
+ */
+export function unlockAudio() {
+    const context = getAudioContext();
+    if (context && context.state === 'suspended') {
+        context.resume().catch(() => {});
+    }
+}
+
+/**
+ * Plays a tone pattern.
+ * @param {Array<[number, number]>} pattern - [frequency Hz, duration ms] pairs; frequency 0 is a pause
+ */
+export function playTonePattern(pattern) {
+    const context = getAudioContext();
+    if (!context) return;
+    let start = context.currentTime;
+    pattern.forEach(([frequency, duration]) => {
+        const seconds = duration / 1000;
+        if (frequency > 0) {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = 'square';
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + seconds);
+            oscillator.connect(gain).connect(context.destination);
+            oscillator.start(start);
+            oscillator.stop(start + seconds);
+        }
+        start += seconds;
+    });
+}
@@ -1,7 +1,7 @@
 // statusUtil.js
 // Status and connection utilities for the UAVMLab web app
 import { state } from '../state.js';
-import { toggleInterface } from './uiUtils.js';
+import { toggleInterface, applyCapabilityRestrictions } from './uiUtils.js';
 
 /**
  * Sets the connection status message and updates UI elements.
@@ -31,6 +31,8 @@ export function setStatus(message, isConnected = false) {
             }
         }
     });
+    // Re-apply capability restrictions the loop above may have lifted
+    applyCapabilityRestrictions(isConnected ? state.capabilities : null);
     // Update status dots to gray when disconnected
     const statusDots = document.querySelectorAll('.status-dot');
     statusDots.forEach(dot => {
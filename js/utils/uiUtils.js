@@ -1,5 +1,7 @@
 // uiUtils.js
 // UI and tab navigation utilities for the UAVMLab web app
+import { supportsCommand, hasSensor, describeCapabilities } from '../core/capabilities.js';
+import { publish, EVENTS } from '../core/eventBus.js';
 
 /**
  * Switches the active tab and updates navigation UI.
@@ -24,16 +26,8 @@ export function switchTab(tabName) {
     // Scroll to top when switching tabs
     window.scrollTo({ top: 0, behavior: 'smooth' });
     
-    // Call tab-specific handlers
-    if (tabName === 'profiles' && typeof window.onProfilesTabOpen === 'function') {
-        window.onProfilesTabOpen();
-    }
-    if (tabName === 'control' && typeof window.onControlTabOpen === 'function') {
-        window.onControlTabOpen();
-    }
-    if (tabName === 'analize' && typeof window.onAnalizeTabOpen === 'function') {
-        window.onAnalizeTabOpen();
-    }
+    // Tabs refresh themselves when opened
+    publish(EVENTS.TAB_OPENED, { tab: tabName });
 }
 
 /**
@@ -45,3 +39,50 @@ export function toggleInterface(isConnected) {
     const bottomNav = document.querySelector('.bottom-nav');
     if (bottomNav) bottomNav.style.display = 'flex';
 }
+
+/**
+ * Hides or disables features the connected stand cannot provide.
+ * - data-requires-sensor="loadCell,ntc"  : element is hidden (options are disabled) unless all sensors are fitted
+ * - data-requires-command="force_arm"     : element is disabled unless the device lists the command
+ * @param {import('../core/capabilities.js').DeviceCapabilities|null} capabilities - null lifts all restrictions
+ */
+export function applyCapabilityRestrictions(capabilities) {
+    document.querySelectorAll('[data-requires-sensor]').forEach((el) => {
+        const sensors = el.dataset.requiresSensor.split(',').map(s => s.trim());
+        const available = sensors.every(sensor => hasSensor(capabilities, sensor));
+        if (el.tagName === 'OPTION') {
+            el.disabled = !available;
+        } else {
+            el.classList.toggle('capability-hidden', !available);
+        }
+    });
+
+    document.querySelectorAll('[data-requires-command]').forEach((el) => {
+        const available = supportsCommand(capabilities, el.dataset.requiresCommand);
+        el.classList.toggle('capability-unsupported', !available);
+        if (available) {
+            el.removeAttribute('title');
+        } else {
+            el.title = 'Not supported by the connected stand';
+            if ('disabled' in el) el.disabled = true;
+        }
+    });
+
+    // Move selects off options that just became unavailable
+    document.querySelectorAll('select').forEach((select) => {
+        if (!select.querySelector('option[data-requires-sensor]')) return;
+        const selected = select.options[select.selectedIndex];
+        if (selected && selected.disabled) {
+            const firstEnabled = Array.from(select.options).find(option => !option.disabled);
+            if (firstEnabled) {
+                select.value = firstEnabled.value;
+                select.dispatchEvent(new Event('change'));
+            }
+        }
+    });
+
+    const capabilitiesText = document.getElementById('deviceCapabilities');
+    if (capabilitiesText) {
+        capabilitiesText.textContent = capabilities ? describeCapabilities(capabilities) : '--';
+    }
+}